@@ -0,0 +1,122 @@
+// scripts/lib/calendar.js
+// 投稿カレンダー（data/post_calendar.yaml）→ 言語ごとの publishAt 枠
+// 予約済みの枠は data/_state/publish_slots.json に記録（再実行でダブルブッキングしない）
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const yaml = require("js-yaml");
+
+const CALENDAR_FILE = () => process.env.POST_CALENDAR_FILE || path.join("data", "post_calendar.yaml");
+const SLOTS_FILE = path.join("data", "_state", "publish_slots.json");
+const DOW = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// ---- timezone helpers（Intl のみ。外部ライブラリ不要）
+// instant(Date) をタイムゾーン tz の壁時計に分解
+function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(date);
+  const g = (t) => Number(parts.find((p) => p.type === t).value);
+  return { y: g("year"), m: g("month"), d: g("day"), hh: g("hour"), mm: g("minute"), ss: g("second") };
+}
+// tz の壁時計 - UTC（分）
+function tzOffsetMin(date, tz) {
+  const p = zonedParts(date, tz);
+  return (Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm, p.ss) - date.getTime()) / 60000;
+}
+// tz の壁時計 y-m-d hh:mm → UTC の Date（DST 切替付近は 2 回補正）
+function zonedToUtc(y, m, d, hh, mm, tz) {
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  const off1 = tzOffsetMin(new Date(guess), tz);
+  let t = guess - off1 * 60000;
+  const off2 = tzOffsetMin(new Date(t), tz);
+  if (off2 !== off1) t = guess - off2 * 60000;
+  return new Date(t);
+}
+// tz での日付文字列（YYYY-MM-DD）
+function zonedDate(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.y}-${String(p.m).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
+
+// ---- calendar
+function loadCalendar() {
+  const p = CALENDAR_FILE();
+  if (!fs.existsSync(p)) return { default: {}, langs: {} };
+  try {
+    const doc = yaml.load(fs.readFileSync(p, "utf8")) || {};
+    return { default: doc.default || {}, langs: doc.langs || {} };
+  } catch (e) {
+    console.warn("[calendar parse fail]", p, e?.message || e);
+    return { default: {}, langs: {} };
+  }
+}
+
+// 言語キーは大文字小文字と - / _ を区別しない（zh_hant = zh-Hant）
+const langKey = (s) => String(s).toLowerCase().replace(/-/g, "_");
+
+/** calendarFor(lang) -> { enabled, timezone, slots:["HH:MM"], days:[...], lead_minutes, horizon_days, per_run } */
+function calendarFor(lang, cal = loadCalendar()) {
+  const key = Object.keys(cal.langs).find((k) => langKey(k) === langKey(lang));
+  const cfg = Object.assign({}, cal.default, key ? cal.langs[key] : {});
+  return {
+    enabled: !!cfg.enabled && Array.isArray(cfg.slots) && cfg.slots.length > 0,
+    timezone: cfg.timezone || "UTC",
+    slots: (cfg.slots || []).map(String).sort(),
+    days: (cfg.days || DOW).map((d) => String(d).toLowerCase().slice(0, 3)),
+    lead_minutes: cfg.lead_minutes ?? 30,
+    horizon_days: cfg.horizon_days ?? 7,
+    per_run: cfg.per_run ?? null,
+  };
+}
+
+// ---- booked slots state
+async function loadBooked() {
+  try { return JSON.parse(await fsp.readFile(SLOTS_FILE, "utf8")) || {}; }
+  catch { return {}; }
+}
+async function saveBooked(state) {
+  await fsp.mkdir(path.dirname(SLOTS_FILE), { recursive: true });
+  await fsp.writeFile(SLOTS_FILE, JSON.stringify(state, null, 2), "utf8");
+}
+
+/**
+ * nextFreeSlot(cfg, bookedForLang, now) -> Date | null
+ *  - now + lead_minutes 以降、horizon_days 以内で未予約の最初の枠
+ */
+function nextFreeSlot(cfg, booked, now = new Date()) {
+  const earliest = now.getTime() + cfg.lead_minutes * 60000;
+  const today = zonedParts(now, cfg.timezone);
+  for (let i = 0; i <= cfg.horizon_days; i++) {
+    const day = new Date(Date.UTC(today.y, today.m - 1, today.d + i));
+    if (!cfg.days.includes(DOW[day.getUTCDay()])) continue;
+    for (const slot of cfg.slots) {
+      const [hh, mm] = slot.split(":").map((x) => parseInt(x, 10));
+      const at = zonedToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hh, mm || 0, cfg.timezone);
+      if (at.getTime() < earliest) continue;
+      if (booked && booked[at.toISOString()]) continue;
+      return at;
+    }
+  }
+  return null;
+}
+
+// 予約を記録（過去 2 日より古い枠は掃除）
+function bookSlot(state, lang, at, videoId, now = new Date()) {
+  const cur = state[lang] || {};
+  const keep = {};
+  for (const [iso, v] of Object.entries(cur)) {
+    if (Date.parse(iso) >= now.getTime() - 2 * 86400000) keep[iso] = v;
+  }
+  keep[at.toISOString()] = videoId;
+  state[lang] = keep;
+  return state;
+}
+
+module.exports = {
+  loadCalendar, calendarFor, loadBooked, saveBooked, nextFreeSlot, bookSlot,
+  zonedParts, zonedToUtc, zonedDate,
+};
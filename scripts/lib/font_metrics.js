@@ -0,0 +1,114 @@
+// scripts/lib/font_metrics.js
+// TTF/OTF(/TTC 先頭フェイス) の cmap + hmtx だけを読む最小パーサ。
+// 目的は折返し用の「描画幅の見積もり」。カーニング/合字/シェーピングは考慮しない（やや広めに出る）。
+
+const fs = require("fs");
+
+const cache = new Map();
+
+function parseCmap(buf, off){
+  // 優先: (3,10)=UCS-4 format 12 → (3,1)/(0,x)=BMP format 4
+  const n = buf.readUInt16BE(off + 2);
+  let best = null, bestRank = -1;
+  for (let i = 0; i < n; i++){
+    const rec = off + 4 + i*8;
+    const pid = buf.readUInt16BE(rec), eid = buf.readUInt16BE(rec + 2);
+    const sub = off + buf.readUInt32BE(rec + 4);
+    const fmt = buf.readUInt16BE(sub);
+    let rank = -1;
+    if (fmt === 12 && (pid === 3 && eid === 10 || pid === 0)) rank = 2;
+    else if (fmt === 4 && (pid === 3 && eid === 1 || pid === 0)) rank = 1;
+    if (rank > bestRank){ best = { sub, fmt }; bestRank = rank; }
+  }
+  if (!best) return () => 0;
+
+  const { sub, fmt } = best;
+  if (fmt === 12){
+    const groups = buf.readUInt32BE(sub + 12);
+    return (cp) => {
+      let lo = 0, hi = groups - 1;
+      while (lo <= hi){
+        const mid = (lo + hi) >> 1, g = sub + 16 + mid*12;
+        const start = buf.readUInt32BE(g), end = buf.readUInt32BE(g + 4);
+        if (cp < start) hi = mid - 1;
+        else if (cp > end) lo = mid + 1;
+        else return buf.readUInt32BE(g + 8) + (cp - start);
+      }
+      return 0;
+    };
+  }
+
+  // format 4
+  const segX2 = buf.readUInt16BE(sub + 6);
+  const ends = sub + 14, starts = ends + segX2 + 2, deltas = starts + segX2, ranges = deltas + segX2;
+  return (cp) => {
+    if (cp > 0xFFFF) return 0;
+    for (let i = 0; i < segX2; i += 2){
+      if (cp > buf.readUInt16BE(ends + i)) continue;
+      const start = buf.readUInt16BE(starts + i);
+      if (cp < start) return 0;
+      const delta = buf.readInt16BE(deltas + i);
+      const ro = buf.readUInt16BE(ranges + i);
+      if (!ro) return (cp + delta) & 0xFFFF;
+      const gi = buf.readUInt16BE(ranges + i + ro + (cp - start)*2);
+      return gi ? (gi + delta) & 0xFFFF : 0;
+    }
+    return 0;
+  };
+}
+
+function parseFont(buf){
+  let base = 0;
+  if (buf.toString("latin1", 0, 4) === "ttcf") base = buf.readUInt32BE(12); // 先頭フェイス
+  const numTables = buf.readUInt16BE(base + 4);
+  const tables = {};
+  for (let i = 0; i < numTables; i++){
+    const rec = base + 12 + i*16;
+    tables[buf.toString("latin1", rec, rec + 4)] = buf.readUInt32BE(rec + 8);
+  }
+  if (tables.head == null || tables.hhea == null || tables.hmtx == null || tables.cmap == null){
+    throw new Error("unsupported font (head/hhea/hmtx/cmap required)");
+  }
+  const unitsPerEm = buf.readUInt16BE(tables.head + 18);
+  const numHMetrics = buf.readUInt16BE(tables.hhea + 34);
+  const glyphOf = parseCmap(buf, tables.cmap);
+  const adv = (gid) => buf.readUInt16BE(tables.hmtx + Math.min(gid, numHMetrics - 1)*4);
+  const fallback = adv(glyphOf(0x30) || 0) || unitsPerEm/2; // 未収録グリフは数字幅で見積もる
+
+  return {
+    unitsPerEm,
+    has: (cp) => glyphOf(cp) !== 0,
+    advance(cp){
+      // 書式制御（RLE/PDF/ZWJ 等）は幅ゼロ
+      if (cp === 0x200B || cp === 0x200C || cp === 0x200D || cp === 0xFEFF || (cp >= 0x202A && cp <= 0x202E) || (cp >= 0x2066 && cp <= 0x2069)) return 0;
+      const gid = glyphOf(cp);
+      return gid ? adv(gid) : fallback;
+    }
+  };
+}
+
+/**
+ * loadFontMetrics(fontPath) -> { unitsPerEm, has(cp), advance(cp), measure(text, fontsize) } | null
+ * 読めないフォントは null（呼び出し側で文字数折返しにフォールバック）
+ */
+function loadFontMetrics(fontPath){
+  if (!fontPath) return null;
+  if (cache.has(fontPath)) return cache.get(fontPath);
+  let m = null;
+  try {
+    const f = parseFont(fs.readFileSync(fontPath));
+    m = Object.assign(f, {
+      measure(text, fontsize){
+        let units = 0;
+        for (const ch of String(text||"")) units += f.advance(ch.codePointAt(0));
+        return units * fontsize / f.unitsPerEm;
+      }
+    });
+  } catch (e) {
+    console.warn(`[font-metrics] ${fontPath}: ${e.message}`);
+  }
+  cache.set(fontPath, m);
+  return m;
+}
+
+module.exports = { loadFontMetrics };
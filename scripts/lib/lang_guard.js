@@ -35,8 +35,77 @@ function validateEntryForLang(rules, lang, title, items) {
   return !!(hasInTitle && ratio >= minr);
 }
 
+// ---- 長さ/構造の上限（翻訳後に translate_yaml.js がチェック）
+// rules.default.limits ← rules[lang].limits の順に上書き。null を入れるとその項目はチェックしない
+//   max_item_words / max_item_chars : 箇条書き（quiz は選択肢）1 本あたり
+//   max_title_chars / max_cta_chars : タイトル / CTA
+//   keep_digits                     : 原文の数字（2, 30s, 10 …）を訳文の同じ項目に残す（各文字体系の数字は 0-9 として比較）
+const DEFAULT_LIMITS = { max_item_words: 12, max_item_chars: null, max_title_chars: 70, max_cta_chars: 40, keep_digits: true };
+
+function limitsFor(rules, lang) {
+  const r = (rules && rules.rules) || {};
+  return Object.assign({}, DEFAULT_LIMITS, r.default?.limits, r[lang]?.limits);
+}
+
+// 文字数は書記素単位（結合文字を 1 と数える）
+function charLen(s) {
+  try { return Array.from(new Intl.Segmenter(undefined, { granularity: "grapheme" }).segment(String(s || ""))).length; }
+  catch (_) { return Array.from(String(s || "")).length; }
+}
+function wordLen(s) { return String(s || "").trim().split(/\s+/).filter(Boolean).length; }
+
+// 各文字体系の 0 の位置（アラビア・インド・東南アジア系・全角）→ ASCII の数字列に揃える
+const DIGIT_ZEROS = [0x30, 0x660, 0x6F0, 0x966, 0x9E6, 0xA66, 0xAE6, 0xBE6, 0xC66, 0xCE6, 0xD66, 0xDE6, 0xE50, 0xED0, 0x1040, 0x17E0, 0xFF10];
+function asciiDigits(run) {
+  return Array.from(run, ch => {
+    const cp = ch.codePointAt(0);
+    const z = DIGIT_ZEROS.find(z => cp >= z && cp <= z + 9);
+    return z == null ? ch : String(cp - z);
+  }).join("");
+}
+function digitRuns(s) { return (String(s || "").match(/\p{Nd}+/gu) || []).map(asciiDigits); }
+
+/**
+ * checkLimits(limits, out, src) -> [{ field, rule, limit, actual, text }]
+ *  out/src: { title, items[] | options[], cta, question? }（items/options は原文と同じ並び）
+ */
+function checkLimits(limits, out, src = {}) {
+  const v = [];
+  const listKey = Array.isArray(out.options) ? "options" : "items";
+  const over = (field, rule, limit, actual, text) => {
+    if (limit != null && actual > limit) v.push({ field, rule, limit, actual, text });
+  };
+  over("title", "max_title_chars", limits.max_title_chars, charLen(out.title), out.title);
+  over("cta", "max_cta_chars", limits.max_cta_chars, charLen(out.cta), out.cta);
+  (out[listKey] || []).forEach((t, i) => {
+    over(`${listKey}[${i}]`, "max_item_words", limits.max_item_words, wordLen(t), t);
+    over(`${listKey}[${i}]`, "max_item_chars", limits.max_item_chars, charLen(t), t);
+  });
+
+  if (limits.keep_digits) {
+    const pairs = [["title", src.title, out.title], ["question", src.question, out.question]];
+    (src[listKey] || []).forEach((t, i) => pairs.push([`${listKey}[${i}]`, t, (out[listKey] || [])[i]]));
+    for (const [field, a, b] of pairs) {
+      const have = digitRuns(b);
+      const missing = digitRuns(a).filter(d => !have.includes(d));
+      if (missing.length) v.push({ field, rule: "keep_digits", limit: missing.join(","), actual: have.join(",") || "none", text: b || "" });
+    }
+  }
+  return v;
+}
+
+// ログ/再依頼プロンプト用の 1 行
+function describeViolation(x) {
+  if (x.rule === "keep_digits") return `${x.field}: must keep the number(s) ${x.limit} as digits: "${x.text}"`;
+  const unit = x.rule === "max_item_words" ? "words" : "characters";
+  return `${x.field}: ${x.actual} ${unit}, max ${x.limit}: "${x.text}"`;
+}
+
 module.exports = {
   loadLangRules,
+  limitsFor,
+  checkLimits,
+  describeViolation,
   validateEntry(lang, title, items) {
     const rules = loadLangRules();
     return validateEntryForLang(rules, lang, title, items);
@@ -0,0 +1,78 @@
+// scripts/lib/ledger.js
+// アップロード台帳 data/_state/uploads.jsonl（1 行 1 レコード、追記のみ）
+// 「何を投稿したか」の正本。重複判定・集計・後からのメタデータ編集はここを読む（API を再検索しない）
+//
+// record: { video_id, channel_id, channel_title, lang, title, entry_id, lineage:{ seed, cat, profile, model, date },
+//           source:{ file, date, entry }, sha256, privacy, publish_at, uploaded_at }
+// entry_id / lineage は sidecar から（id 導入前の動画は null）
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const LEDGER_FILE = () => process.env.UPLOAD_LEDGER_FILE || path.join("data", "_state", "uploads.jsonl");
+
+async function appendUpload(rec) {
+  const p = LEDGER_FILE();
+  await fsp.mkdir(path.dirname(p), { recursive: true });
+  await fsp.appendFile(p, JSON.stringify(rec) + "\n", "utf8");
+}
+
+// 壊れた行はスキップ（手編集・途中書き込み対策）
+async function readLedger(filter = {}) {
+  let txt = "";
+  try { txt = await fsp.readFile(LEDGER_FILE(), "utf8"); }
+  catch { return []; }
+  const out = [];
+  for (const line of txt.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      if (filter.lang && r.lang !== filter.lang) continue;
+      if (filter.entry_id && r.entry_id !== filter.entry_id) continue;
+      out.push(r);
+    } catch (_) {}
+  }
+  return out;
+}
+
+// 投稿済みタイトル一覧（台帳 + videos/{lang}/sent の sidecar。台帳導入前の投稿も拾う）
+// -> [{ title, video_id, source }]
+async function postedTitles(lang, rows = null) {
+  const out = [];
+  const seen = new Set();
+  const push = (title, video_id, source) => {
+    const key = String(title || "").trim();
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push({ title: key, video_id: video_id || null, source });
+  };
+  for (const r of rows || await readLedger({ lang })) push(r.title, r.video_id, "ledger");
+
+  const sent = path.join("videos", lang, "sent");
+  const dates = fs.existsSync(sent) ? fs.readdirSync(sent).sort() : [];
+  for (const d of dates) {
+    const dir = path.join(sent, d);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    for (const f of fs.readdirSync(dir).filter((x) => x.endsWith(".json") && !x.endsWith(".upload.json"))) {
+      try {
+        const j = JSON.parse(await fsp.readFile(path.join(dir, f), "utf8")) || {};
+        push(j.title, j.video_id, "sent");
+      } catch (_) {}
+    }
+  }
+  return out;
+}
+
+function fileSha256(file) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("data", (d) => h.update(d))
+      .on("end", () => resolve(h.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+module.exports = { appendUpload, readLedger, postedTitles, fileSha256, LEDGER_FILE };
@@ -0,0 +1,97 @@
+// scripts/lib/llm.js
+// LLM provider layer: OpenAI / OpenAI互換サーバ / fixture ベースの mock
+//
+// env:
+//   LLM_PROVIDER   openai | compat | mock  (default: openai)
+//   OPENAI_API_KEY openai で必須
+//   LLM_BASE_URL   compat の接続先（例: http://localhost:11434/v1）。openai でも指定すれば上書き
+//   LLM_API_KEY    compat 用のキー（ローカルサーバなら不要）
+//   LLM_MODEL / OPENAI_MODEL  モデル名（default: gpt-4o-mini）
+//   LLM_JSON_MODE  "0" で response_format を送らない（json_object 非対応のローカルサーバ向け）
+//   LLM_FIXTURES   mock/record の fixture ディレクトリ（default: data/_fixtures/llm）
+//   LLM_RECORD     "1" で実 provider の応答を fixture に保存（mock で replay できる）
+//   LLM_MOCK_STRICT "1" で fixture が無いとエラー（mockReply による合成をしない）
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PROVIDERS = ["openai", "compat", "mock"];
+
+function fixtureDir(){ return process.env.LLM_FIXTURES || path.join("data","_fixtures","llm"); }
+
+// model/temperature はキーに含めない（モデル差し替えでも同じ fixture を replay できるように）
+function fixtureKey(system, user){
+  return crypto.createHash("sha256").update(JSON.stringify({ system, user })).digest("hex").slice(0,16);
+}
+function fixturePath(system, user){ return path.join(fixtureDir(), `${fixtureKey(system, user)}.json`); }
+
+function readFixture(system, user){
+  const p = fixturePath(system, user);
+  if (!fs.existsSync(p)) return null;
+  try { return JSON.parse(fs.readFileSync(p,"utf8")).response ?? null; }
+  catch { return null; }
+}
+function writeFixture(system, user, response, model){
+  const p = fixturePath(system, user);
+  fs.mkdirSync(path.dirname(p), { recursive:true });
+  fs.writeFileSync(p, JSON.stringify({ model, request: { system, user }, response }, null, 2), "utf8");
+}
+
+function openaiClient(provider){
+  const { OpenAI } = require("openai");
+  const baseURL = process.env.LLM_BASE_URL || undefined;
+  if (provider === "openai"){
+    if (!process.env.OPENAI_API_KEY) throw new Error("OPENAI_API_KEY missing");
+    return new OpenAI({ apiKey: process.env.OPENAI_API_KEY, baseURL });
+  }
+  if (!baseURL) throw new Error("LLM_BASE_URL missing (required for LLM_PROVIDER=compat)");
+  // ローカルサーバはキー不要なことが多いが、SDK は空文字を受け付けないのでダミーを渡す
+  return new OpenAI({ apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "local", baseURL });
+}
+
+/**
+ * createLLM() -> { provider, model, chatJSON({ system, user, temperature, mockReply }) }
+ *  - chatJSON は JSON 文字列（モデルの content そのまま）を返す
+ *  - mockReply: mock で fixture が無いときに使う決定的な応答（object を返す関数）
+ */
+function createLLM(opts = {}){
+  const provider = String(process.env.LLM_PROVIDER || opts.provider || "openai").toLowerCase();
+  if (!PROVIDERS.includes(provider)) throw new Error(`unknown LLM_PROVIDER: ${provider} (${PROVIDERS.join("|")})`);
+  const model = process.env.LLM_MODEL || process.env.OPENAI_MODEL || opts.model || "gpt-4o-mini";
+  const record = process.env.LLM_RECORD === "1";
+  const jsonMode = process.env.LLM_JSON_MODE !== "0";
+
+  if (provider === "mock"){
+    const strict = process.env.LLM_MOCK_STRICT === "1";
+    return {
+      provider, model,
+      async chatJSON({ system, user, mockReply }){
+        const hit = readFixture(system, user);
+        if (hit != null) return hit;
+        if (strict || typeof mockReply !== "function"){
+          throw new Error(`mock fixture missing: ${fixturePath(system, user)}`);
+        }
+        return JSON.stringify(mockReply());
+      }
+    };
+  }
+
+  const client = openaiClient(provider);
+  return {
+    provider, model,
+    async chatJSON({ system, user, temperature = 0.3 }){
+      const r = await client.chat.completions.create({
+        model,
+        temperature,
+        messages: [{ role:"system", content:system }, { role:"user", content:user }],
+        ...(jsonMode ? { response_format: { type: "json_object" } } : {})
+      });
+      const content = r.choices?.[0]?.message?.content || "{}";
+      if (record) writeFixture(system, user, content, model);
+      return content;
+    }
+  };
+}
+
+module.exports = { createLLM, fixtureKey };
@@ -0,0 +1,114 @@
+// scripts/lib/profiles.js
+// コンテンツプロファイル（data/profiles/<name>.yaml）と seed カテゴリ → プロファイルの対応（data/profiles/categories.yaml）
+// プロファイル = プロンプト + 必須要素（digit/body/ritual/tool）+ キーワード + 差し込み/埋め草 + フォールバック + 既定 cta/tags
+// extends: <name> で別プロファイルを継承（オブジェクトは 1 段マージ、配列/文字列は置き換え）
+// format: list（既定。title + 箇条書き）| quiz（question + options + answer + explanation）
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const PROFILES_DIR = () => process.env.PROFILES_DIR || path.join("data","profiles");
+const CATEGORY_FILE = "categories.yaml";
+const FORMATS = ["list", "quiz"];
+const cache = new Map();
+
+function readYaml(p){
+  return yaml.load(fs.readFileSync(p, "utf8")) || {};
+}
+
+function listProfiles(){
+  const dir = PROFILES_DIR();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".yaml") && f !== CATEGORY_FILE)
+    .map(f => path.basename(f, ".yaml"))
+    .sort();
+}
+
+function mergeProfile(base, over){
+  const out = Object.assign({}, base);
+  for (const [k, v] of Object.entries(over)){
+    const b = base[k];
+    out[k] = (v && typeof v === "object" && !Array.isArray(v) && b && typeof b === "object" && !Array.isArray(b))
+      ? Object.assign({}, b, v)
+      : v;
+  }
+  return out;
+}
+
+function loadRaw(name, seen = []){
+  if (seen.includes(name)) throw new Error(`profile extends cycle: ${[...seen, name].join(" -> ")}`);
+  const p = path.join(PROFILES_DIR(), `${name}.yaml`);
+  if (!fs.existsSync(p)){
+    throw new Error(`profile "${name}" not found (${p}); available: ${listProfiles().join(", ") || "none"}`);
+  }
+  const doc = readYaml(p);
+  if (!doc.extends) return doc;
+  return mergeProfile(loadRaw(doc.extends, [...seen, name]), doc);
+}
+
+// 正規表現用にエスケープしたキーワードの単語境界マッチ（空リストは常に false）
+function keywordMatcher(words){
+  const list = (words || []).map(w => String(w).trim()).filter(Boolean)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (!list.length) return () => false;
+  const re = new RegExp(`\\b(${list.join("|")})\\b`, "i");
+  return s => re.test(String(s||""));
+}
+
+/**
+ * loadProfile(name) -> {
+ *   name, format, system, user, require:{digit,body,ritual,tool}, inject:{...}, pad_pool:[], fallback:{title,items},
+ *   defaults:{cta,tags}, has:{digit,body,ritual,tool}（判定関数）
+ * }
+ */
+function loadProfile(name){
+  if (cache.has(name)) return cache.get(name);
+  const raw = loadRaw(name);
+  if (!raw.system || !raw.user) throw new Error(`profile "${name}" needs both system and user prompts`);
+  const format = raw.format || "list";
+  if (!FORMATS.includes(format)) throw new Error(`profile "${name}": unknown format "${format}" (${FORMATS.join(" | ")})`);
+  const cues = raw.cues || {};
+  const prof = Object.assign({}, raw, {
+    name,
+    format,
+    require: Object.assign({ digit: true, body: true, ritual: false, tool: false }, raw.require),
+    inject: raw.inject || {},
+    pad_pool: raw.pad_pool || [],
+    fallback: Object.assign({ title: "", items: [] }, raw.fallback),   // quiz: + question/options/answer/explanation
+    defaults: Object.assign({ cta: "", tags: [] }, raw.defaults),
+    has: {
+      digit: s => /\d/.test(String(s||"")),
+      body: keywordMatcher(cues.body),
+      ritual: keywordMatcher(cues.ritual),
+      tool: keywordMatcher(cues.tool),
+    },
+  });
+  cache.set(name, prof);
+  return prof;
+}
+
+function loadCategoryMap(){
+  const p = path.join(PROFILES_DIR(), CATEGORY_FILE);
+  if (!fs.existsSync(p)) return { default: "solo", map: {} };
+  try {
+    const doc = readYaml(p);
+    return { default: doc.default || "solo", map: doc.map || {} };
+  } catch (e) {
+    console.warn("[profiles] categories.yaml parse fail", e?.message || e);
+    return { default: "solo", map: {} };
+  }
+}
+
+// 明示指定（--profile / PROFILE）> カテゴリの対応 > 既定
+function profileNameFor(cat, explicit, catMap = loadCategoryMap()){
+  return explicit || catMap.map[cat] || catMap.default;
+}
+
+// {{key}} を置き換え（未定義のキーはそのまま残す）
+function renderTemplate(tpl, vars){
+  return String(tpl||"").replace(/\{\{\s*(\w+)\s*\}\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+module.exports = { loadProfile, listProfiles, loadCategoryMap, profileNameFor, renderTemplate };
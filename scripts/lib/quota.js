@@ -0,0 +1,88 @@
+// scripts/lib/quota.js
+// YouTube Data API のクォータ台帳（data/_state/yt_quota.json）
+// クォータは OAuth クライアント（= GCP プロジェクト）単位で、太平洋時間の 0 時にリセットされる
+// → プロジェクト × 太平洋時間の日付で「今日使った推定ユニット」を積み上げ、予算を超える呼び出しを事前に止める
+//
+// state: { "<project>": { day: "YYYY-MM-DD", used: 1701, calls: { "videos.insert": 1, ... }, updated_at } }
+// ※ 実際の消費量は API からは取れないので、公開されている単価からの推定値
+
+const fsp = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { zonedDate } = require("./calendar");
+
+const QUOTA_FILE = () => process.env.YT_QUOTA_FILE || path.join("data", "_state", "yt_quota.json");
+const QUOTA_TZ = "America/Los_Angeles";
+const DEFAULT_BUDGET = 10000;
+
+// 1 呼び出しあたりのユニット
+const COSTS = {
+  "channels.list": 1,
+  "search.list": 100,
+  "videos.insert": 1600,
+  "thumbnails.set": 50,
+  "captions.insert": 400,
+};
+
+// 同じクライアント ID を共有するジョブは同じ台帳を使う（ID そのものは記録しない）
+function projectKey(clientId = process.env.YT_CLIENT_ID) {
+  if (process.env.YT_QUOTA_PROJECT) return process.env.YT_QUOTA_PROJECT;
+  if (!clientId) return "default";
+  return "client-" + crypto.createHash("sha256").update(clientId).digest("hex").slice(0, 12);
+}
+
+function quotaDay(now = new Date()) { return zonedDate(now, QUOTA_TZ); }
+
+async function loadState() {
+  try { return JSON.parse(await fsp.readFile(QUOTA_FILE(), "utf8")) || {}; }
+  catch { return {}; }
+}
+async function saveState(state) {
+  await fsp.mkdir(path.dirname(QUOTA_FILE()), { recursive: true });
+  await fsp.writeFile(QUOTA_FILE(), JSON.stringify(state, null, 2), "utf8");
+}
+
+/**
+ * openQuota({ project, budget }) -> { project, budget, used(), remaining(), canAfford(units), charge(method, n), exhaust(reason), describe() }
+ *  - charge は呼び出し直後に保存（途中で落ちても消費分は残る）
+ *  - exhaust は API が quotaExceeded を返したとき。その日（太平洋時間）は残量 0 扱い（以降の実行も止まる）
+ */
+async function openQuota({ project = projectKey(), budget = DEFAULT_BUDGET } = {}) {
+  const state = await loadState();
+
+  // 日付が変わっていたら（太平洋時間）その場でリセット
+  const today = () => {
+    const day = quotaDay();
+    const cur = state[project];
+    if (!cur || cur.day !== day) state[project] = { day, used: 0, calls: {} };
+    return state[project];
+  };
+
+  const q = {
+    project,
+    budget,
+    used: () => today().used,
+    remaining: () => (today().exhausted ? 0 : Math.max(0, budget - today().used)),
+    canAfford: (units) => !today().exhausted && today().used + units <= budget,
+    async charge(method, n = 1) {
+      const units = (COSTS[method] ?? 1) * n;
+      const cur = today();
+      cur.used += units;
+      cur.calls[method] = (cur.calls[method] || 0) + n;
+      cur.updated_at = new Date().toISOString();
+      await saveState(state).catch((e) => console.warn("[quota] save failed:", e?.message || e));
+      return units;
+    },
+    async exhaust(reason = "quotaExceeded") {
+      const cur = today();
+      cur.exhausted = reason;
+      cur.updated_at = new Date().toISOString();
+      await saveState(state).catch((e) => console.warn("[quota] save failed:", e?.message || e));
+    },
+    describe: () => `project=${project} day=${today().day} used=${today().used}/${budget} remaining=${q.remaining()}` +
+      (today().exhausted ? ` (exhausted: ${today().exhausted})` : ""),
+  };
+  return q;
+}
+
+module.exports = { openQuota, projectKey, quotaDay, COSTS, DEFAULT_BUDGET, QUOTA_FILE };
@@ -0,0 +1,145 @@
+// scripts/lib/resumable_upload.js
+// YouTube videos.insert の resumable upload（セッション URI と送信済みバイトを ####.upload.json に保存）
+// ランナーのタイムアウトや 5xx で落ちても、次回の実行で同じセッションの続きから送れる
+//
+// 流れ: POST ?uploadType=resumable → Location(session URI)
+//       PUT session (Content-Range: bytes */size) で送信済み位置を問い合わせ
+//       PUT session (Content-Range: bytes a-b/size) でチャンク送信 → 308(続き) / 200,201(完了)
+
+const fs = require("fs");
+const fsp = fs.promises;
+
+const DEFAULT_ROOT = "https://www.googleapis.com/";
+const CHUNK = 256 * 1024; // チャンクは 256KiB の倍数であること
+
+function statePath(file) { return file.replace(/\.mp4$/i, ".upload.json"); }
+
+async function loadUploadState(file) {
+  try { return JSON.parse(await fsp.readFile(statePath(file), "utf8")) || {}; }
+  catch { return {}; }
+}
+async function saveUploadState(file, state) {
+  state.updated_at = new Date().toISOString();
+  await fsp.writeFile(statePath(file), JSON.stringify(state, null, 2), "utf8");
+}
+async function clearUploadState(file) {
+  await fsp.unlink(statePath(file)).catch(() => {});
+}
+
+// 308 の Range: bytes=0-N → 次の送信位置 N+1
+function nextOffset(res) {
+  const range = res.headers?.range || res.headers?.get?.("range");
+  const m = String(range || "").match(/bytes=\d+-(\d+)/);
+  return m ? parseInt(m[1], 10) + 1 : 0;
+}
+
+function statusError(res, what) {
+  const e = new Error(`${what}: HTTP ${res.status}`);
+  e.code = res.status;
+  e.response = res;
+  return e;
+}
+
+async function startSession(auth, rootUrl, part, requestBody, size) {
+  const res = await auth.request({
+    url: `${rootUrl}upload/youtube/v3/videos?uploadType=resumable&part=${encodeURIComponent(part)}`,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json; charset=UTF-8",
+      "X-Upload-Content-Length": String(size),
+      "X-Upload-Content-Type": "video/*",
+    },
+    data: requestBody,
+    validateStatus: () => true,
+  });
+  const uri = res.headers?.location || res.headers?.get?.("location");
+  if (res.status >= 300 || !uri) throw statusError(res, "resumable session start failed");
+  return uri;
+}
+
+// 送信済み位置の問い合わせ。{ done, data } | { offset } | { expired }
+async function querySession(auth, uri, size) {
+  const res = await auth.request({
+    url: uri, method: "PUT",
+    headers: { "Content-Range": `bytes */${size}`, "Content-Length": "0" },
+    validateStatus: () => true,
+  });
+  if (res.status === 200 || res.status === 201) return { done: true, data: res.data };
+  if (res.status === 308) return { offset: nextOffset(res) };
+  if (res.status === 404 || res.status === 410) return { expired: true };
+  throw statusError(res, "resumable status query failed");
+}
+
+async function readChunk(file, start, len) {
+  const fh = await fsp.open(file, "r");
+  try {
+    const buf = Buffer.alloc(len);
+    const { bytesRead } = await fh.read(buf, 0, len, start);
+    return buf.subarray(0, bytesRead);
+  } finally { await fh.close(); }
+}
+
+/**
+ * resumableInsert({ auth, file, part, requestBody, rootUrl, chunkMB, state, sha256, onSession })
+ *  - state は ####.upload.json の中身（呼び出し側で attempts 等を管理）。session/offset を書き込んで保存する
+ *  - sha256 はファイルの hash（呼び出し側で計算済みのもの）。size と合わせて「同じファイルか」の判定に使う
+ *  - onSession() は新しいセッションを開く直前に呼ぶ（videos.insert のクォータ計上。再開時は呼ばない）
+ *  - 完了時は videos リソース（data.id）を返す。例外時も state は保存済み（次回はそこから再開）
+ */
+async function resumableInsert({ auth, file, part, requestBody, rootUrl = DEFAULT_ROOT, chunkMB = 8, state = {}, sha256 = null, onSession = null }) {
+  const st = await fsp.stat(file);
+  const size = st.size;
+  const chunk = Math.max(1, Math.round(chunkMB * 4)) * CHUNK;
+
+  // ファイルが作り直されていたら古いセッションは捨てる（mtime は checkout で変わるので見ない）
+  const changed = state.size !== size || (sha256 && state.sha256 && state.sha256 !== sha256);
+  if (state.session_uri && changed) {
+    console.log("[resume] file changed; discard old session");
+    delete state.session_uri;
+  }
+
+  let offset = 0;
+  if (state.session_uri) {
+    const q = await querySession(auth, state.session_uri, size);
+    if (q.done) return q.data;
+    if (q.expired) {
+      console.log("[resume] session expired; restart");
+      delete state.session_uri;
+    } else {
+      offset = q.offset;
+      console.log(`[resume] ${offset}/${size} bytes already sent`);
+    }
+  }
+  if (!state.session_uri) {
+    if (onSession) await onSession();
+    Object.assign(state, {
+      session_uri: await startSession(auth, rootUrl, part, requestBody, size),
+      size, sha256, created_at: new Date().toISOString(),
+    });
+    offset = 0;
+  }
+  state.offset = offset;
+  await saveUploadState(file, state);
+
+  while (offset < size) {
+    const end = Math.min(offset + chunk, size) - 1;
+    const body = await readChunk(file, offset, end - offset + 1);
+    const res = await auth.request({
+      url: state.session_uri, method: "PUT",
+      headers: { "Content-Range": `bytes ${offset}-${end}/${size}`, "Content-Length": String(body.length), "Content-Type": "video/*" },
+      data: body,
+      validateStatus: () => true,
+    });
+    if (res.status === 200 || res.status === 201) return res.data;
+    if (res.status !== 308) throw statusError(res, `upload chunk ${offset}-${end} failed`);
+    offset = nextOffset(res);
+    state.offset = offset;
+    await saveUploadState(file, state);
+  }
+  // 全バイト送ったのに完了応答が無い → 状態を問い合わせて確定
+  const q = await querySession(auth, state.session_uri, size);
+  if (q.done) return q.data;
+  throw new Error("upload incomplete after sending all bytes");
+}
+
+module.exports = { resumableInsert, loadUploadState, saveUploadState, clearUploadState, statePath };
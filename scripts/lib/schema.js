@@ -0,0 +1,224 @@
+// scripts/lib/schema.js
+// コンテンツ YAML（data/{lang}/{date}.yaml）と sidecar（videos/{lang}/<bucket>/{date}/####.json）のスキーマと検証
+// スキーマは JSON Schema のごく一部（type / enum / required / properties / items / minLength / maxLength /
+// minItems / maxItems / minimum / pattern）+ 項目間の条件（check）を手書きで解釈する（依存なし）
+// 検証結果は [{ path: "entries[2].items[0]", message, line? }]（空配列なら OK）
+//
+// 使う側: validate.js（日付ごとの一括検証）/ render_video.js・youtube_upload.js の --strict
+
+const fs = require("fs");
+const yaml = require("js-yaml");
+
+const TAGS = { type: "array", maxItems: 10, items: { type: "string", minLength: 1, maxLength: 100 } };
+const META = {
+  // seed_to_yaml.js の系譜（id は翻訳・sidecar の entry_id・台帳まで同じ値）
+  id:     { type: "string", pattern: "^[A-Za-z0-9][A-Za-z0-9_-]*$" },
+  source: { type: "object", properties: { seed: { type: "string" }, cat: { type: "string" }, profile: { type: "string" }, model: { type: "string" }, date: { type: "string" } } },
+  // seed_to_yaml.js の品質メモ（EN のみ。翻訳には引き継がない）
+  quality: { type: "object", properties: { score: { type: "number", minimum: 0 }, fallback: { type: "boolean" } } },
+};
+
+// 箇条書き（type 省略 = list）。render_video.js は 12 本まで描画する
+const ENTRY_LIST = {
+  type: "object",
+  required: ["title", "items"],
+  properties: Object.assign({
+    type:  { enum: ["list"] },
+    title: { type: "string", minLength: 1, maxLength: 100 },
+    items: { type: "array", minItems: 1, maxItems: 12, items: { type: "string", minLength: 1, maxLength: 200 } },
+    cta:   { type: "string", maxLength: 100 },
+    tags:  TAGS,
+  }, META),
+};
+
+// クイズ（seed_to_yaml.js の format: quiz）。answer は options の 0 始まりの番号
+const ENTRY_QUIZ = {
+  type: "object",
+  required: ["type", "title", "question", "options", "answer"],
+  properties: Object.assign({
+    type:        { enum: ["quiz"] },
+    title:       { type: "string", minLength: 1, maxLength: 100 },
+    question:    { type: "string", minLength: 1, maxLength: 200 },
+    options:     { type: "array", minItems: 2, maxItems: 4, items: { type: "string", minLength: 1, maxLength: 120 } },
+    answer:      { type: "integer", minimum: 0 },
+    explanation: { type: "string", maxLength: 200 },
+    cta:         { type: "string", maxLength: 100 },
+    tags:        TAGS,
+  }, META),
+  check(e, at, out){
+    if (Number.isInteger(e.answer) && Array.isArray(e.options) && e.answer >= e.options.length){
+      out.push({ path: join(at, "answer"), message: `out of range (${e.answer}; ${e.options.length} options)` });
+    }
+  },
+};
+
+const DOC = {
+  type: "object",
+  required: ["entries"],
+  properties: { entries: { type: "array", minItems: 1 } },
+};
+
+// YouTube が invalidTitle / invalidDescription で弾くもの（< >）と上限
+const SIDECAR = {
+  type: "object",
+  required: ["title"],
+  properties: {
+    title:       { type: "string", minLength: 1, pattern: "^[^<>]*$", patternMessage: "must not contain < or >" },
+    description: { type: "string", maxLength: 5000, pattern: "^[^<>]*$", patternMessage: "must not contain < or >" },
+    tags:        TAGS,
+    duration:    { type: "number", minimum: 0.1 },
+    layout:      { type: "object" },
+    narration:   { type: "object" },
+    thumbnail:   { type: "string", pattern: "\\.jpe?g$" },
+    type:        { enum: ["list", "quiz"] },
+    quiz:        { type: "object", properties: { answer: { type: "integer", minimum: 0 }, reveal_at: { type: "number", minimum: 0 } } },
+    upload:      { type: "object" },
+    dup_of:      { type: "object" },
+    video_id:    { type: "string" },
+    entry_id:    META.id,
+    source:      META.source,
+  },
+  check(s, at, out){
+    // タグは合計 500 文字まで（空白を含むタグは引用符の 2 文字も数える）
+    if (Array.isArray(s.tags)){
+      const total = s.tags.reduce((n, t) => n + String(t).length + (/\s/.test(t) ? 2 : 0), 0) + Math.max(0, s.tags.length - 1);
+      if (total > 500) out.push({ path: join(at, "tags"), message: `total length ${total} > 500` });
+    }
+  },
+};
+
+// ---- checker
+function join(at, key){ return typeof key === "number" ? `${at}[${key}]` : at ? `${at}.${key}` : key; }
+function typeOf(v){
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+function typeOk(v, t){ return typeOf(v) === t || (t === "number" && typeOf(v) === "integer"); }
+
+function check(schema, v, at = "", out = []){
+  if (schema.enum && !schema.enum.includes(v)){
+    out.push({ path: at, message: `must be one of: ${schema.enum.join(", ")} (got ${JSON.stringify(v)})` });
+    return out;
+  }
+  if (schema.type && !typeOk(v, schema.type)){
+    out.push({ path: at, message: `expected ${schema.type}, got ${typeOf(v)}` });
+    return out;
+  }
+  if (typeof v === "string"){
+    const len = v.trim().length;
+    if (schema.minLength && len < schema.minLength) out.push({ path: at, message: len ? `shorter than ${schema.minLength}` : "empty" });
+    if (schema.maxLength != null && v.length > schema.maxLength) out.push({ path: at, message: `longer than ${schema.maxLength} (${v.length})` });
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(v)) out.push({ path: at, message: schema.patternMessage || `does not match ${schema.pattern}` });
+  }
+  if (typeof v === "number" && schema.minimum != null && v < schema.minimum){
+    out.push({ path: at, message: `less than ${schema.minimum}` });
+  }
+  if (Array.isArray(v)){
+    if (schema.minItems != null && v.length < schema.minItems) out.push({ path: at, message: `needs at least ${schema.minItems} item(s), got ${v.length}` });
+    if (schema.maxItems != null && v.length > schema.maxItems) out.push({ path: at, message: `at most ${schema.maxItems} item(s), got ${v.length}` });
+    if (schema.items) v.forEach((x, i) => check(schema.items, x, join(at, i), out));
+  }
+  if (typeOf(v) === "object"){
+    // null は「未指定」扱い（YAML の `cta:` など）。必須項目なら欠落として報告
+    for (const k of schema.required || []){
+      if (v[k] == null) out.push({ path: join(at, k), message: "required" });
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})){
+      if (v[k] != null) check(sub, v[k], join(at, k), out);
+    }
+  }
+  if (schema.check) schema.check(v, at, out);
+  return out;
+}
+
+function entrySchema(e){ return e && e.type === "quiz" ? ENTRY_QUIZ : ENTRY_LIST; }
+
+function validateEntry(e, at = ""){ return check(entrySchema(e), e, at); }
+
+function validateDoc(doc){
+  const out = check(DOC, doc);
+  if (Array.isArray(doc?.entries)) doc.entries.forEach((e, i) => validateEntry(e, join("entries", i)).forEach(x => out.push(x)));
+  return out;
+}
+
+function validateSidecar(obj){ return check(SIDECAR, obj); }
+
+// ---- line lookup（js-yaml は位置を返さないので、ブロック形式の YAML/JSON をテキストで走査）
+// entries: 直下の "- " 行 = 各エントリの開始行。path の先頭キーをその範囲から探し、配列番号があれば n 番目の "- " 行
+function yamlEntryLines(text){
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(l => /^entries:\s*$/.test(l));
+  if (start < 0) return { lines, entries: [] };
+  const entries = []; let indent = null;
+  for (let i = start + 1; i < lines.length; i++){
+    const m = lines[i].match(/^(\s*)- /);
+    if (m && (indent == null || m[1].length === indent)){ indent = m[1].length; entries.push(i); }
+    else if (/^\S/.test(lines[i])) break;
+  }
+  return { lines, entries };
+}
+
+function yamlLineOf(text, p, index = yamlEntryLines(text)){
+  const { lines, entries } = index;
+  const m = String(p).match(/^entries\[(\d+)\](?:\.(\w+))?(?:\[(\d+)\])?/);
+  if (!m){
+    const i = lines.findIndex(l => /^entries:/.test(l));
+    return i < 0 ? 1 : i + 1;
+  }
+  const from = entries[+m[1]];
+  if (from == null) return null;
+  const to = entries[+m[1] + 1] ?? lines.length;
+  if (!m[2]) return from + 1;
+  const keyRe = new RegExp(`^\\s*(?:- )?${m[2]}:`);
+  const k = lines.slice(from, to).findIndex(l => keyRe.test(l));
+  if (k < 0) return from + 1;
+  const keyLine = from + k;
+  if (m[3] == null) return keyLine + 1;
+  let n = -1;
+  for (let i = keyLine + 1; i < to; i++){
+    if (/^\s*- /.test(lines[i]) && ++n === +m[3]) return i + 1;
+  }
+  return keyLine + 1;
+}
+
+function jsonLineOf(text, p){
+  const key = String(p).split(/[.[]/)[0];
+  if (!key) return 1;
+  const i = text.split(/\r?\n/).findIndex(l => l.startsWith(`  "${key}":`));
+  return i < 0 ? 1 : i + 1;
+}
+
+// ファイル単位: 読めない/パースできないものもエラーとして返す（line 付き）
+function checkYamlFile(file){
+  let text;
+  try { text = fs.readFileSync(file, "utf8"); }
+  catch (e) { return { doc: null, errors: [{ path: "", message: `cannot read: ${e.message}`, line: null }] }; }
+  let doc;
+  try { doc = yaml.load(text); }
+  catch (e) { return { doc: null, errors: [{ path: "", message: `YAML parse error: ${e.reason || e.message}`, line: e.mark ? e.mark.line + 1 : null }] }; }
+  const index = yamlEntryLines(text);
+  const errors = validateDoc(doc || {}).map(x => Object.assign(x, { line: yamlLineOf(text, x.path, index) }));
+  return { doc, errors };
+}
+
+function checkSidecarFile(file){
+  if (!fs.existsSync(file)) return [{ path: "", message: "sidecar missing", line: null }];
+  const text = fs.readFileSync(file, "utf8");
+  let obj;
+  try { obj = JSON.parse(text); }
+  catch (e) { return [{ path: "", message: `JSON parse error: ${e.message}`, line: null }]; }
+  return validateSidecar(obj).map(x => Object.assign(x, { line: jsonLineOf(text, x.path) }));
+}
+
+// "file:line: path: message"
+function formatError(file, x){
+  return `${file}${x.line ? `:${x.line}` : ""}: ${x.path ? `${x.path}: ` : ""}${x.message}`;
+}
+
+module.exports = {
+  SCHEMAS: { ENTRY_LIST, ENTRY_QUIZ, DOC, SIDECAR },
+  validateEntry, validateDoc, validateSidecar,
+  checkYamlFile, checkSidecarFile, yamlLineOf, formatError,
+};
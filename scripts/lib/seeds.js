@@ -0,0 +1,200 @@
+// scripts/lib/seeds.js
+// seed プール（data/seeds/<category>/*.txt）と使用済み記録（data/_state/used_seeds.json）
+// seed_to_yaml.js（生成）と seeds.js（管理 CLI）の共通部分
+//
+// seed: { text, cat } / used: [{ cat, text, at }]（at = 最後に使った日時）
+// at の無い旧レコードはクールダウン中として扱い、seed_to_yaml の markUsed で実行時刻を入れて保存（移行）
+// → 移行直後に一斉に再利用されない。loadUsed 自体は書き換えない（list/stats は保存しないので）
+//
+// 使い切ったカテゴリは、使ってからクールダウン日数（--cooldown-days / env SEED_COOLDOWN_DAYS）を過ぎた seed を
+// 古い順に必要数だけ戻す（全体リセットはしない）
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+
+const POOL_ROOT = path.join("data","seeds");
+const STATE_DIR = path.join("data","_state");
+const USED_FILE = path.join(STATE_DIR, "used_seeds.json");
+
+// 残りがこれ以下のカテゴリは「枯渇間近」（env SEEDS_WARN_MIN）
+const WARN_MIN = parseInt(process.env.SEEDS_WARN_MIN || "10", 10);
+const COOLDOWN_DAYS = parseFloat(process.env.SEED_COOLDOWN_DAYS || "30");
+const DAY_MS = 86400000;
+
+// 重複判定用の正規化（全半角/大小/引用符・記号/空白の違いを無視）
+function normalizeSeed(s){
+  return String(s||"").normalize("NFKC").toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+async function listCategories(){
+  if (!fs.existsSync(POOL_ROOT)) return [];
+  return fs.readdirSync(POOL_ROOT).filter(d => fs.statSync(path.join(POOL_ROOT,d)).isDirectory());
+}
+
+async function loadPoolByCategory(cat){
+  const dir = path.join(POOL_ROOT, cat);
+  if (!fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir).filter(f=>f.endsWith(".txt"));
+  let lines = [];
+  for (const f of files){
+    const txt = await fsp.readFile(path.join(dir,f),"utf8");
+    const arr = txt.split(/\r?\n/).map(s=>s.trim()).filter(s=>s && !s.startsWith("#"));
+    lines.push(...arr.map(x => ({ text:x, cat })));
+  }
+  const seen = new Set(); const out=[];
+  for (const it of lines){
+    const key = it.text;
+    if (seen.has(key)) continue;
+    seen.add(key); out.push(it);
+  }
+  return out;
+}
+
+async function loadPoolFiltered(catsWeights){
+  const cats = catsWeights ? Object.keys(catsWeights) : await listCategories();
+  let pool = [];
+  for (const c of cats){
+    pool.push(...await loadPoolByCategory(c));
+  }
+  return pool;
+}
+
+async function loadUsed(){
+  let used;
+  try { used = JSON.parse(await fsp.readFile(USED_FILE,"utf8")); }
+  catch { return []; }
+  return Array.isArray(used) ? used : [];
+}
+async function saveUsed(used){
+  await fsp.mkdir(STATE_DIR, { recursive:true });
+  await fsp.writeFile(USED_FILE, JSON.stringify(used,null,2), "utf8");
+}
+
+function buildRemaining(pool, used){
+  const usedSet = new Set(used.map(u => `${u.cat}::${u.text}`));
+  return pool.filter(s => !usedSet.has(`${s.cat}::${s.text}`));
+}
+
+// at の無い旧レコードは「今使った」扱い（保存されるまでクールダウンが明けない）
+function usedAt(u){ return Date.parse(u.at || "") || Date.now(); }
+
+// プールに残っている使用済み seed を { recyclable（クールダウン明け・古い順）, cooling } に分ける
+function splitUsed(pool, used, cooldownDays = COOLDOWN_DAYS, now = Date.now()){
+  const inPool = new Set(pool.map(s => `${s.cat}::${s.text}`));
+  const recyclable = []; const cooling = [];
+  for (const u of used){
+    if (!inPool.has(`${u.cat}::${u.text}`)) continue;
+    (now - usedAt(u) >= cooldownDays * DAY_MS ? recyclable : cooling).push(u);
+  }
+  recyclable.sort((a,b) => usedAt(a) - usedAt(b));
+  return { recyclable, cooling };
+}
+
+// 使った seed の at を更新（再利用した seed は既存レコードを置き換え）
+// at の無い旧レコードにも now を入れる（移行。旧レコードは全部同じ時刻、並びはファイル順 = 使った順のまま）
+function markUsed(used, seeds, now = new Date()){
+  const at = now.toISOString();
+  const map = new Map(used.map(u => [`${u.cat}::${u.text}`, u.at ? u : Object.assign({}, u, { at })]));
+  for (const s of seeds) map.set(`${s.cat}::${s.text}`, { cat: s.cat, text: s.text, at });
+  return [...map.values()];
+}
+
+/**
+ * planEligible(pool, used, count, catsWeights, { cooldownDays, now })
+ *  -> { eligible: seed[], report: [{ cat, demand, unused, recycled, cooling, next_at }] }
+ *  - 未使用 seed + 足りないカテゴリだけクールダウン明けの seed を古い順に不足分
+ *  - catsWeights 無し: カテゴリ横断で不足分（やはり古い順）
+ *  - report.demand に届かないカテゴリは枯渇（呼び出し側で報告する）
+ */
+function planEligible(pool, used, count, catsWeights, opts = {}){
+  const cooldownDays = opts.cooldownDays ?? COOLDOWN_DAYS;
+  const now = opts.now ?? Date.now();
+  const remaining = buildRemaining(pool, used);
+  const { recyclable, cooling } = splitUsed(pool, used, cooldownDays, now);
+  const toSeed = (u) => ({ text: u.text, cat: u.cat, recycled: true, last_used: u.at || null });
+
+  const cats = catsWeights ? Object.keys(catsWeights) : [...new Set(pool.map(s => s.cat))];
+  const sumW = catsWeights ? Object.values(catsWeights).reduce((a,b) => a+b, 0) : 0;
+  const eligible = remaining.slice();
+  let back = [];
+  if (!catsWeights) back = recyclable.slice(0, Math.max(0, count - remaining.length));
+
+  const report = cats.map(cat => {
+    const unused = remaining.filter(s => s.cat === cat).length;
+    const demand = catsWeights ? Math.ceil(count * catsWeights[cat] / sumW) : null;
+    const mine = catsWeights
+      ? recyclable.filter(u => u.cat === cat).slice(0, Math.max(0, demand - unused))
+      : back.filter(u => u.cat === cat);
+    if (catsWeights) back.push(...mine);
+    const cool = cooling.filter(u => u.cat === cat);
+    const next = cool.length ? Math.min(...cool.map(usedAt)) + cooldownDays * DAY_MS : null;
+    return { cat, demand, unused, recycled: mine.length, cooling: cool.length, next_at: next ? new Date(next).toISOString() : null };
+  });
+  eligible.push(...back.map(toSeed));
+  return { eligible, report };
+}
+
+// カテゴリごとの { cat, total, used, remaining, recyclable, low }
+function categoryStats(pool, used, warnMin = WARN_MIN, cooldownDays = COOLDOWN_DAYS){
+  const remaining = buildRemaining(pool, used);
+  const { recyclable } = splitUsed(pool, used, cooldownDays);
+  const by = {};
+  for (const s of pool) (by[s.cat] ||= { cat: s.cat, total: 0, used: 0, remaining: 0, recyclable: 0 }).total++;
+  for (const s of remaining) by[s.cat].remaining++;
+  for (const u of recyclable) by[u.cat].recyclable++;
+  return Object.values(by)
+    .map(r => Object.assign(r, { used: r.total - r.remaining, low: r.remaining <= warnMin }))
+    .sort((a,b) => a.cat.localeCompare(b.cat));
+}
+
+function parseCats(arg){
+  if (!arg) return null;
+  const m = {};
+  arg.split(",").map(s=>s.trim()).filter(Boolean).forEach(tok=>{
+    const [name,wRaw] = tok.split(":");
+    const w = Math.max(1, parseInt(wRaw||"1",10));
+    m[name] = w;
+  });
+  return m;
+}
+
+function weightedPickCategory(remaining, catsWeights){
+  if (!catsWeights) return null;
+  const byCat = {};
+  for (const it of remaining){ (byCat[it.cat] ||= []).push(it); }
+  const entries = Object.entries(byCat).filter(([_,arr])=>arr.length>0);
+  if (!entries.length) return null;
+  const weighted = entries.map(([cat]) => ({ cat, weight: catsWeights[cat] || 1 }));
+  const sum = weighted.reduce((a,b)=>a+b.weight,0);
+  let r = Math.random() * sum;
+  for (const w of weighted){ if ((r -= w.weight) <= 0) return w.cat; }
+  return weighted[weighted.length-1].cat;
+}
+function pickOneFromCategory(remaining, cat){
+  const arr = remaining.filter(s => s.cat === cat);
+  if (!arr.length) return null;
+  return arr[Math.floor(Math.random()*arr.length)];
+}
+function sampleWithCategoryWeights(pool, count, catsWeights){
+  const picks = []; let remaining = pool.slice();
+  while (picks.length < Math.min(count, pool.length)){
+    let chosenCat = weightedPickCategory(remaining, catsWeights);
+    let pick = chosenCat
+      ? (pickOneFromCategory(remaining, chosenCat) || remaining[Math.floor(Math.random()*remaining.length)])
+      : remaining[Math.floor(Math.random()*remaining.length)];
+    picks.push(pick);
+    remaining = remaining.filter(s => !(s.cat===pick.cat && s.text===pick.text));
+  }
+  return picks;
+}
+
+module.exports = {
+  POOL_ROOT, USED_FILE, WARN_MIN, COOLDOWN_DAYS,
+  normalizeSeed, listCategories, loadPoolByCategory, loadPoolFiltered,
+  loadUsed, saveUsed, markUsed, buildRemaining, planEligible, categoryStats,
+  parseCats, sampleWithCategoryWeights,
+};
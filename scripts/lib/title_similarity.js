@@ -0,0 +1,106 @@
+// scripts/lib/title_similarity.js
+// タイトルの近似重複判定（"7 habits to make Monday resets succeed" ≒ "7 Habits for Successful Monday Resets"）
+//  - 空白区切りの言語: 語トークン（ストップワード/数字除去 + 語尾 s 除去 + 先頭5文字で簡易ステミング）の Dice 係数
+//  - 空白の無い言語（ja/zh/th 等）: 文字 bigram の Dice 係数
+//  - 表記ゆれ・typo 程度の差（正規化編集距離の類似度 >= 0.9）はそちらを優先
+// しきい値は data/lang_rules.yaml の rules.{lang}.dup_threshold（無ければ rules.default）
+
+const fs = require("fs");
+const path = require("path");
+const { loadLangRules } = require("./lang_guard");
+
+const DEFAULT_THRESHOLD = 0.8;
+const EDIT_MIN = 0.9; // 編集距離は「ほぼ同じ文字列」だけ拾う（先頭が共通なだけの別テーマを弾く）
+const STOPWORDS = new Set([
+  "a","an","the","to","for","of","in","on","at","by","with","and","or","your","you","my","our","that","this",
+  "how","from","into","is","are","be","it","its","will","can","more","less",
+]);
+
+function readTitleSuffix(lang) {
+  const p = path.join("data", "channel_meta", `${lang}.txt`);
+  if (!fs.existsSync(p)) return "";
+  const m = fs.readFileSync(p, "utf8").match(/^\s*title_suffix\s*=\s*(.*)$/m);
+  return m ? m[1].trim() : "";
+}
+
+// チャンネル suffix を外し、大小/全半角/記号を揃える
+function normalizeTitle(s, suffix = "") {
+  let t = String(s || "").normalize("NFKC");
+  const suf = String(suffix || "").normalize("NFKC").trim();
+  if (suf && t.includes(suf)) t = t.replace(suf, "");
+  return t.toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stem(w) {
+  let x = w;
+  if (x.length > 4 && x.endsWith("s")) x = x.slice(0, -1);
+  return x.slice(0, 5);
+}
+
+function tokensOf(norm) {
+  const words = norm.split(" ").filter(Boolean);
+  // 空白が少なく長い → 空白の無い書記体系とみなして文字 bigram
+  const spaced = words.length >= 3 || (words.length > 0 && norm.length / words.length < 12);
+  if (!spaced) {
+    const chars = Array.from(norm.replace(/\s+/g, ""));
+    const grams = [];
+    for (let i = 0; i < chars.length - 1; i++) grams.push(chars[i] + chars[i + 1]);
+    return new Set(grams.length ? grams : chars);
+  }
+  return new Set(words.filter((w) => !STOPWORDS.has(w) && !/^\d+$/.test(w)).map(stem));
+}
+
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let hit = 0;
+  for (const x of a) if (b.has(x)) hit++;
+  return (2 * hit) / (a.size + b.size);
+}
+
+function levenshtein(a, b) {
+  const A = Array.from(a), B = Array.from(b);
+  let prev = Array.from({ length: B.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= A.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= B.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (A[i - 1] === B[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[B.length];
+}
+
+/** similarity(a, b, { suffix }) -> 0..1 */
+function similarity(a, b, opts = {}) {
+  const na = normalizeTitle(a, opts.suffix), nb = normalizeTitle(b, opts.suffix);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  const tok = dice(tokensOf(na), tokensOf(nb));
+  const maxLen = Math.max(Array.from(na).length, Array.from(nb).length);
+  const edit = 1 - levenshtein(na, nb) / maxLen;
+  return Math.max(tok, edit >= EDIT_MIN ? edit : 0);
+}
+
+function thresholdFor(lang, rules = loadLangRules()) {
+  const r = rules.rules || {};
+  return (r[lang] && r[lang].dup_threshold) ?? (r.default && r.default.dup_threshold) ?? DEFAULT_THRESHOLD;
+}
+
+/**
+ * findSimilar(title, priors, { lang, suffix, threshold }) -> { title, score, ...prior } | null
+ *  - priors: [{ title, ... }]（video_id 等はそのまま返す）
+ */
+function findSimilar(title, priors, opts = {}) {
+  const threshold = opts.threshold ?? thresholdFor(opts.lang);
+  let best = null;
+  for (const p of priors || []) {
+    const score = similarity(title, p.title, opts);
+    if (score >= threshold && (!best || score > best.score)) best = Object.assign({}, p, { score: Math.round(score * 100) / 100 });
+  }
+  return best;
+}
+
+module.exports = { similarity, findSimilar, thresholdFor, normalizeTitle, readTitleSuffix };
@@ -0,0 +1,42 @@
+// scripts/lib/translate_cache.js
+// 翻訳キャッシュ（内容アドレス）: data/_state/translate_cache/{lang}/{key}.json
+// key = sha256(EN エントリの翻訳対象フィールド + 言語 + provider/model + プロンプト版 + limits)
+//   → EN が変わっていない・言語を足しただけの再実行では、足りない/変わった分だけ翻訳する
+// env TRANSLATE_CACHE_DIR で置き場所を変更
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const CACHE_DIR = () => process.env.TRANSLATE_CACHE_DIR || path.join("data","_state","translate_cache");
+
+// 訳文に影響するフィールドだけ（quality / id / source などは含めない）
+const SOURCE_FIELDS = ["type","title","items","question","options","answer","explanation","cta","tags"];
+
+function sourceOf(entry){
+  const out = {};
+  for (const k of SOURCE_FIELDS) if (entry[k] != null) out[k] = entry[k];
+  return out;
+}
+
+function cacheKey({ entry, lang, model, promptVersion, limits }){
+  const payload = JSON.stringify({ source: sourceOf(entry), lang, model, prompt_version: promptVersion, limits: limits || null });
+  return crypto.createHash("sha256").update(payload).digest("hex").slice(0, 24);
+}
+
+function cachePath(lang, key){ return path.join(CACHE_DIR(), lang, `${key}.json`); }
+
+async function readCache(lang, key){
+  try { return JSON.parse(await fsp.readFile(cachePath(lang, key), "utf8")).result || null; }
+  catch { return null; }
+}
+
+async function writeCache(lang, key, { entry, model, promptVersion, result }){
+  const p = cachePath(lang, key);
+  await fsp.mkdir(path.dirname(p), { recursive:true });
+  const rec = { key, lang, model, prompt_version: promptVersion, source: sourceOf(entry), result, at: new Date().toISOString() };
+  await fsp.writeFile(p, JSON.stringify(rec, null, 2), "utf8");
+}
+
+module.exports = { CACHE_DIR, cacheKey, readCache, writeCache };
@@ -0,0 +1,50 @@
+// scripts/lib/tts.js
+// ローカル TTS（ネットワーク不要）でナレーション wav を作る
+//  - espeak-ng: voice = espeak の言語/ボイス名（例: en-us, ja, de）
+//  - piper:     voice = .onnx モデルのパス（例: assets/voices/en_US-lessac-medium.onnx）
+// 失敗（未インストール等）は null を返し、呼び出し側はナレーション無しで続行する
+
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+
+const ENGINES = ["espeak-ng", "piper"];
+
+function probeDuration(file){
+  const r = spawnSync("ffprobe", ["-v","error","-show_entries","format=duration","-of","csv=p=0", file], { encoding:"utf8" });
+  const d = parseFloat(String(r.stdout||"").trim());
+  return r.status === 0 && Number.isFinite(d) ? d : null;
+}
+
+/**
+ * synthesize({ engine, voice, rate, text, textFile, out }) -> 秒数 | null
+ *  - text は textFile に書いてから渡す（引数長/エスケープ対策）
+ */
+function synthesize({ engine, voice, rate, text, textFile, out }){
+  if (!ENGINES.includes(engine)) {
+    console.warn(`[tts] unknown engine: ${engine} (${ENGINES.join("|")})`);
+    return null;
+  }
+  fs.writeFileSync(textFile, String(text||"").replace(/\r\n/g,"\n"), "utf8");
+
+  let r;
+  if (engine === "espeak-ng"){
+    const args = ["-w", out, "-f", textFile];
+    if (voice) args.unshift("-v", voice);
+    if (rate)  args.unshift("-s", String(rate)); // words per minute
+    r = spawnSync("espeak-ng", args, { stdio: ["ignore","ignore","pipe"] });
+  } else {
+    if (!voice) { console.warn("[tts] piper needs a voice model (tts_voice)"); return null; }
+    const args = ["--model", voice, "--output_file", out];
+    // piper の length_scale は「遅さ」。rate(1.0=標準) の逆数を渡す
+    if (rate) args.push("--length_scale", String(1 / Number(rate)));
+    r = spawnSync("piper", args, { input: fs.readFileSync(textFile), stdio: ["pipe","ignore","pipe"] });
+  }
+
+  if (r.error || r.status !== 0 || !fs.existsSync(out)) {
+    console.warn(`[tts] ${engine} failed:`, r.error?.message || String(r.stderr||"").trim() || `exit ${r.status}`);
+    return null;
+  }
+  return probeDuration(out);
+}
+
+module.exports = { synthesize, probeDuration, ENGINES };
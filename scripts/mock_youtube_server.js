@@ -0,0 +1,189 @@
+// scripts/mock_youtube_server.js
+// YouTube Data API v3 の最小スタンドイン（youtube_upload.js の E2E 確認用。依存なし・メモリのみ）
+// usage:
+//   node scripts/mock_youtube_server.js --port=8089
+//   YT_API_BASE=http://127.0.0.1:8089/ YT_ACCESS_TOKEN=mock node scripts/youtube_upload.js --lang=en --max=2
+//
+// 実装しているもの:
+//   GET  /youtube/v3/channels?mine=true            → 固定チャンネル 1 件
+//   GET  /youtube/v3/search?channelId=...          → このサーバに投稿された動画（新しい順）
+//   POST /upload/youtube/v3/videos?uploadType=resumable  → Location にセッション URI
+//   PUT  <session URI>（Content-Range: bytes a-b/size | bytes */size） → 308 + Range / 200 + videos リソース
+//   POST /upload/youtube/v3/videos?uploadType=multipart  → 200 + videos リソース
+//   POST /upload/youtube/v3/thumbnails/set?videoId=...
+//   POST /upload/youtube/v3/captions?part=snippet
+//   GET  /_mock/videos                              → 受け取った動画の一覧（確認用）
+//
+// 障害の再現:
+//   --fail-chunks=N   最初の N 回のチャンク PUT を 503 で落とす（resumable の再開確認）
+//   --unauthorized    全リクエストを 401（auth エラー分類の確認）
+//   --quota-exceeded  videos.insert を 403 quotaExceeded で落とす
+
+const http = require("http");
+const { URL } = require("url");
+
+const arg = (k, d) => {
+  const a = process.argv.find((x) => x.startsWith(`--${k}=`));
+  return a ? a.split("=").slice(1).join("=") : d;
+};
+const PORT = parseInt(arg("port", process.env.MOCK_YT_PORT || "8089"), 10);
+let failChunks = parseInt(arg("fail-chunks", "0"), 10);
+const UNAUTHORIZED = process.argv.includes("--unauthorized");
+const QUOTA_EXCEEDED = process.argv.includes("--quota-exceeded");
+
+const CHANNEL = { id: "UCmockchannel0000000000", snippet: { title: "Mock Channel" } };
+const videos = [];   // { id, snippet, status, bytes, thumbnail, captions: [] }
+const sessions = new Map(); // upload_id -> { meta, size, bytes, video }
+let seq = 0;
+
+function send(res, status, body, headers = {}) {
+  const data = body == null ? "" : JSON.stringify(body);
+  res.writeHead(status, Object.assign({ "Content-Type": "application/json; charset=UTF-8" }, headers));
+  res.end(data);
+}
+function apiError(res, status, reason, message) {
+  send(res, status, { error: { code: status, message, errors: [{ reason, message }] } });
+}
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (d) => chunks.push(d));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+function parseJSON(buf) {
+  try { return JSON.parse(buf.toString("utf8") || "{}"); } catch { return {}; }
+}
+
+function createVideo(meta, bytes) {
+  const id = `mock${String(++seq).padStart(7, "0")}`;
+  const v = {
+    kind: "youtube#video",
+    id,
+    snippet: Object.assign({}, meta.snippet, { channelId: CHANNEL.id, publishedAt: new Date().toISOString() }),
+    status: Object.assign({ uploadStatus: "uploaded" }, meta.status),
+    bytes,
+    captions: [],
+  };
+  videos.push(v);
+  console.log(`[mock] videos.insert ${id} "${v.snippet.title}" ${bytes} bytes` + (v.status.publishAt ? ` publishAt=${v.status.publishAt}` : ""));
+  const { bytes: _b, captions: _c, ...resource } = v;
+  return resource;
+}
+
+// multipart/related の最初の JSON パートをメタデータとして取り出す
+function multipartMeta(buf) {
+  const txt = buf.toString("latin1");
+  const i = txt.indexOf("{");
+  if (i < 0) return {};
+  let depth = 0;
+  for (let j = i; j < txt.length; j++) {
+    if (txt[j] === "{") depth++;
+    else if (txt[j] === "}" && --depth === 0) return parseJSON(Buffer.from(txt.slice(i, j + 1), "latin1"));
+  }
+  return {};
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const p = url.pathname.replace(/\/+/g, "/");
+
+  if (p === "/_mock/videos") return send(res, 200, { items: videos });
+  if (UNAUTHORIZED) return apiError(res, 401, "authError", "Invalid Credentials");
+
+  // ---- data API
+  if (req.method === "GET" && p === "/youtube/v3/channels") {
+    return send(res, 200, { kind: "youtube#channelListResponse", items: [CHANNEL] });
+  }
+  if (req.method === "GET" && p === "/youtube/v3/search") {
+    const max = parseInt(url.searchParams.get("maxResults") || "5", 10);
+    const items = videos.slice().reverse().slice(0, max)
+      .map((v) => ({ kind: "youtube#searchResult", id: { kind: "youtube#video", videoId: v.id }, snippet: v.snippet }));
+    return send(res, 200, { kind: "youtube#searchListResponse", items });
+  }
+
+  // ---- videos.insert
+  if (p === "/upload/youtube/v3/videos") {
+    const type = url.searchParams.get("uploadType");
+    const uploadId = url.searchParams.get("upload_id");
+
+    if (req.method === "POST" && type === "resumable") {
+      if (QUOTA_EXCEEDED) return apiError(res, 403, "quotaExceeded", "The request cannot be completed because you have exceeded your quota.");
+      const meta = parseJSON(await readBody(req));
+      const id = `s${Date.now().toString(36)}${++seq}`;
+      sessions.set(id, { meta, size: parseInt(req.headers["x-upload-content-length"] || "0", 10), bytes: 0 });
+      const loc = `http://${req.headers.host}/upload/youtube/v3/videos?uploadType=resumable&upload_id=${id}`;
+      return send(res, 200, null, { Location: loc });
+    }
+
+    if (req.method === "PUT" && uploadId) {
+      const s = sessions.get(uploadId);
+      const body = await readBody(req);
+      if (!s) return apiError(res, 404, "notFound", "upload session not found");
+      const range = String(req.headers["content-range"] || "");
+      const rangeHeader = () => (s.bytes > 0 ? { Range: `bytes=0-${s.bytes - 1}` } : {});
+
+      if (/^bytes \*\//.test(range)) {
+        if (s.video) return send(res, 200, s.video);
+        return send(res, 308, null, rangeHeader());
+      }
+      const m = range.match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+      if (!m) return apiError(res, 400, "badRequest", `bad Content-Range: ${range}`);
+      if (failChunks > 0) {
+        failChunks--;
+        return apiError(res, 503, "backendError", "mock: injected chunk failure");
+      }
+      const start = parseInt(m[1], 10);
+      if (start !== s.bytes) return send(res, 308, null, rangeHeader()); // 位置ずれ → 正しい位置を返す
+      s.bytes += body.length;
+      if (s.bytes >= s.size) {
+        s.video = createVideo(s.meta, s.bytes);
+        return send(res, 200, s.video);
+      }
+      return send(res, 308, null, rangeHeader());
+    }
+
+    if (req.method === "POST" && type === "multipart") {
+      if (QUOTA_EXCEEDED) return apiError(res, 403, "quotaExceeded", "The request cannot be completed because you have exceeded your quota.");
+      const body = await readBody(req);
+      return send(res, 200, createVideo(multipartMeta(body), body.length));
+    }
+  }
+
+  // ---- thumbnails.set
+  if (req.method === "POST" && p === "/upload/youtube/v3/thumbnails/set") {
+    const vid = url.searchParams.get("videoId");
+    const v = videos.find((x) => x.id === vid);
+    const body = await readBody(req);
+    if (!v) return apiError(res, 404, "videoNotFound", `video ${vid} not found`);
+    v.thumbnail = body.length;
+    console.log(`[mock] thumbnails.set ${vid} ${body.length} bytes`);
+    return send(res, 200, { kind: "youtube#thumbnailSetResponse", items: [{ default: { url: `http://${req.headers.host}/thumb/${vid}.jpg` } }] });
+  }
+
+  // ---- captions.insert
+  if (req.method === "POST" && p === "/upload/youtube/v3/captions") {
+    const body = await readBody(req);
+    const meta = multipartMeta(body);
+    const vid = meta.snippet?.videoId;
+    const v = videos.find((x) => x.id === vid);
+    if (!v) return apiError(res, 404, "videoNotFound", `video ${vid} not found`);
+    const cap = { kind: "youtube#caption", id: `cap${++seq}`, snippet: meta.snippet };
+    v.captions.push(cap.id);
+    console.log(`[mock] captions.insert ${vid} lang=${meta.snippet?.language}`);
+    return send(res, 200, cap);
+  }
+
+  apiError(res, 404, "notFound", `mock: ${req.method} ${p} not implemented`);
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    console.error("[mock] handler error", e);
+    apiError(res, 500, "internalError", String(e?.message || e));
+  });
+});
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`[mock] YouTube API stand-in on http://127.0.0.1:${PORT}/`);
+});
@@ -1,8 +1,10 @@
-// YAML + style -> videos/{lang}/queue/YYYY-MM-DD/####.mp4 (+ ####.json)
+// YAML + style -> videos/{lang}/queue/YYYY-MM-DD/####.mp4 (+ ####.json, ####.srt/.vtt, ####.jpg)
 // 安全版: textfile=… を使い、UTF-8/BOM/不可視制御/フォント欠落に強い。
 // - フォントは assets -> /usr/share/fonts の順で多段フォールバック
 // - テキストは正規化＆クレンジング
 // - drawtext は text_shaping=1:utf8=1 を明示
+// - 折返しは実フォント幅で計測
+// - RTL（ar/fa/ur 等）は右揃え・右側ビュレット・行ごとに RTL 埋め込み
 // - 背景/音声はディレクトリ or ワイルドカード指定でランダム選択可
 
 const fs = require("fs");
@@ -11,6 +13,9 @@ const path = require("path");
 const os = require("os");
 const yaml = require("js-yaml");
 const { spawnSync } = require("child_process");
+const { loadFontMetrics } = require("./lib/font_metrics");
+const { synthesize } = require("./lib/tts");
+const { validateEntry, yamlLineOf } = require("./lib/schema");
 
 // ---- args / env
 const ARG = (k, def = "") => {
@@ -23,11 +28,15 @@ const DUR   = ARG("dur",  process.env.DURATION || "10");
 // 既定はディレクトリ指定（ランダム選択）
 const BG    = ARG("bg",   "assets/bg");
 const AUDIO = ARG("audio","assets/bgm");
+// ナレーション: 未指定なら style.yaml の tts（none | espeak-ng | piper）
+const TTS   = ARG("tts",  process.env.TTS || "");
+const STRICT = process.argv.includes("--strict") || process.env.SCHEMA_STRICT === "1";
 
 // ---- paths
 const yamlPath  = (d,lang)=> path.join("data", lang, `${d}.yaml`);
 const stylePath = ()          => path.join("data","style.yaml");
 const outDir    = (d,lang)=>   path.join("videos", lang, "queue", d);
+const flagDir   = (d,lang)=>   path.join("videos", lang, "flagged", d);
 const chMetaTxt = (lang)=>     path.join("data","channel_meta",`${lang}.txt`);
 
 // ---- text utils
@@ -38,6 +47,17 @@ const stripControls = s => String(s||"").replace(/[\u0000-\u0008\u000B\u000C\u00
 const stripBOM = s => s.replace(/^\uFEFF/, "");
 const normalize = s => stripControls(toASCIIQuotes(stripBOM(String(s||"")))).normalize("NFC");
 
+// ---- bidi
+// drawtext(fribidi) は段落方向が LTR 固定。RTL 行は RLE…PDF で包んで段落ごと RTL に埋め込む。
+// → ビュレット/インデントが右端に来て、行内の Latin（Slack, Notion 等）も正しい位置に並ぶ
+const RTL_LANGS = ["ar","fa","ur","he","ps"];
+const RLE = "\u202B", PDF = "\u202C";
+function isRTLLang(lang, direction){
+  if (direction) return String(direction).toLowerCase() === "rtl";
+  return RTL_LANGS.includes(String(lang||"").split(/[-_]/)[0]);
+}
+const bidiLine = (s, rtl) => rtl ? `${RLE}${s}${PDF}` : s;
+
 // ---- simple wrapping（EN等=単語 / CJK=字数）
 function wrapByLimit(text, limit, isCJK){
   const t = normalize(text);
@@ -62,6 +82,122 @@ function wrapByLimit(text, limit, isCJK){
   }
 }
 
+// ---- metric wrapping（実フォントの描画幅でパネル幅に収める）
+// 空白区切りの語を基本単位にし、1語で幅を超える場合だけ Intl.Segmenter で語→書記素に分割
+// （ja/zh/th/km/lo など空白の無い文字列もここで自然に折れる）
+function segmentize(text, lang, granularity){
+  try {
+    const seg = new Intl.Segmenter(lang, { granularity });
+    return Array.from(seg.segment(text), x => x.segment).filter(x => x.trim());
+  } catch (_) {
+    return Array.from(text);
+  }
+}
+function wrapByWidth(text, maxW, measure, lang){
+  const t = normalize(text);
+  if (!t) return [""];
+  const fits = s => measure(s) <= maxW;
+
+  // tokens: { s, space }  space=true → 直前に空白を挟む
+  const tokens = [];
+  for (const w of t.split(/\s+/).filter(Boolean)){
+    if (fits(w)) { tokens.push({ s:w, space:true }); continue; }
+    let first = true;
+    for (const u of segmentize(w, lang, "word")){
+      const units = fits(u) ? [u] : segmentize(u, lang, "grapheme");
+      for (const g of units){ tokens.push({ s:g, space:first }); first = false; }
+    }
+  }
+
+  const lines=[]; let cur="";
+  for (const tk of tokens){
+    const next = cur ? cur + (tk.space ? " " : "") + tk.s : tk.s;
+    if (cur && !fits(next)){ lines.push(cur); cur = tk.s; }
+    else cur = next;
+  }
+  if (cur) lines.push(cur);
+  return lines;
+}
+
+// ---- reveal schedule（秒）
+// title → items（等間隔）→ CTA。各 start から end まで表示（end は全て dur）
+function buildSchedule(nItems, dur, S){
+  const fade    = S.anim_fade ?? 0.4;
+  const titleAt = S.anim_title_at ?? 0;
+  const ctaAt   = Math.max(titleAt, dur - (S.anim_cta_lead ?? 2));
+  const from    = titleAt + (S.anim_items_delay ?? 1);
+  const to      = Math.max(from, ctaAt - fade);
+  const step    = nItems > 1 ? (to - from) / nItems : 0;
+  return {
+    fade,
+    title: { start: titleAt, end: dur },
+    items: Array.from({ length: nItems }, (_, k) => ({ start: from + k*step, end: dur })),
+    cta:   { start: ctaAt, end: dur }
+  };
+}
+
+// quiz: title → 質問 → 選択肢（quiz_option_step 秒おき）→ 考える時間 → reveal（正解の強調 + 解説）→ CTA
+// reveal は 尺 × quiz_reveal_at。ただしナレーションの読み終わり（minReveal）以降、終了 quiz_answer_hold 秒前まで
+// items は [質問, 選択肢..., 解説] の並び（layout の blocks と同じ）
+function buildQuizSchedule(nOptions, dur, S, minReveal = 0){
+  const fade    = S.anim_fade ?? 0.4;
+  const titleAt = S.anim_title_at ?? 0;
+  const hold    = S.quiz_answer_hold ?? 2;
+  const reveal  = Math.max(titleAt, Math.min(Math.max(dur * (S.quiz_reveal_at ?? 0.6), minReveal), dur - hold));
+  const from    = Math.min(titleAt + (S.anim_items_delay ?? 1), reveal);
+  const step    = Math.min(S.quiz_option_step ?? 0.5, (reveal - from) / (nOptions + 1));
+  const ctaAt   = Math.max(reveal, dur - (S.anim_cta_lead ?? 2));
+  return {
+    fade, reveal,
+    title: { start: titleAt, end: dur },
+    items: [
+      { start: from, end: dur },
+      ...Array.from({ length: nOptions }, (_, k) => ({ start: from + (k+1)*step, end: dur })),
+      { start: reveal, end: dur }
+    ],
+    cta:   { start: ctaAt, end: dur }
+  };
+}
+
+// drawtext 用: 表示開始 T からフェード/スライド。mode=none は常時表示（従来どおり）
+const fmtT = n => Number(n).toFixed(2);
+function revealOpts(mode, T, fade, x, rtl, slidePx){
+  if (mode === "none" || !mode) return { x, extra: "" };
+  const prog = `min(1,(t-${fmtT(T)})/${fmtT(fade)})`;
+  const extra = `:enable='gte(t,${fmtT(T)})':alpha='${prog}'`;
+  if (mode !== "slide") return { x, extra };
+  // LTR は左から、RTL は右からスライドイン
+  const dx = `(1-${prog})*${slidePx}`;
+  return { x: `'${x}${rtl ? "+" : "-"}${dx}'`, extra };
+}
+
+// ---- captions（SRT / WebVTT）
+// cue: title → 各箇条 → CTA。各 cue は次の要素が出るまで表示
+function captionCues(sched, title, items, cta){
+  const starts = [sched.title.start, ...sched.items.map(x=>x.start), sched.cta.start];
+  const texts  = [title, ...items, cta];
+  const cues = [];
+  for (let i=0; i<texts.length; i++){
+    const end = i+1 < starts.length ? starts[i+1] : sched.cta.end;
+    if (!texts[i] || end <= starts[i]) continue;
+    cues.push({ start: starts[i], end, text: texts[i] });
+  }
+  return cues;
+}
+function fmtCueTime(sec, sep){
+  const ms = Math.round(sec*1000);
+  const hh = String(Math.floor(ms/3600000)).padStart(2,"0");
+  const mm = String(Math.floor(ms/60000)%60).padStart(2,"0");
+  const ss = String(Math.floor(ms/1000)%60).padStart(2,"0");
+  return `${hh}:${mm}:${ss}${sep}${String(ms%1000).padStart(3,"0")}`;
+}
+function toSRT(cues){
+  return cues.map((c,i)=> `${i+1}\n${fmtCueTime(c.start,",")} --> ${fmtCueTime(c.end,",")}\n${c.text}\n`).join("\n");
+}
+function toVTT(cues){
+  return "WEBVTT\n\n" + cues.map(c=> `${fmtCueTime(c.start,".")} --> ${fmtCueTime(c.end,".")}\n${c.text}\n`).join("\n");
+}
+
 // ---- channel meta (KV)
 function readChannelMetaKV(lang){
   const def = {
@@ -201,7 +337,8 @@ function pickBgPath(bgSetting){
   const yml = yamlPath(DATE, LANG);
   if (!fs.existsSync(yml)) throw new Error(`content not found: ${yml}`);
 
-  const doc = yaml.load(await fsp.readFile(yml,"utf8")) || {};
+  const ymlText = await fsp.readFile(yml,"utf8");
+  const doc = yaml.load(ymlText) || {};
   const st  = yaml.load(await fsp.readFile(stylePath(),"utf8")) || {};
   const S0  = (st.styles && st.styles.default) || {};
   const S   = Object.assign({}, S0, (st.styles && st.styles[LANG]) || {});
@@ -217,32 +354,162 @@ function pickBgPath(bgSetting){
   const pY = S.panel_padding_y ?? 120;
   const panelAlpha = S.panel_alpha ?? 0.55;
 
-  // typography
-  const tSize = S.title_size ?? 88;
-  const iSize = S.item_size  ?? 54;
-  const cSize = S.cta_size   ?? 52;
-  const gap   = S.line_gap   ?? 86;
+  // typography（title/item/gap は fitLayout で縮小されうる基準値）
+  const tSize0 = S.title_size ?? 88;
+  const iSize0 = S.item_size  ?? 54;
+  const cSize  = S.cta_size   ?? 52;
+  const gap0   = S.line_gap   ?? 86;
   const titleGap = S.title_line_gap ?? 72;
   const titleBottomGap = S.title_bottom_gap ?? 64;
 
   const bullet = (S.bullet ?? "•") + " ";
 
+  // quiz（正解の強調色/箱。reveal のタイミングは buildQuizSchedule）
+  const QUIZ_LABELS = ["A","B","C","D"];
+  const quizAccent = S.quiz_accent ?? "0xE0FFC8";
+  const quizBox    = S.quiz_box ?? "0x2E7D32@0.85";
+  const isQuiz = e => e && e.type === "quiz";
+
+  // 本文ブロック { text, prefix }: 箇条書き（ビュレット付き）/ quiz は [質問, "A. " 選択肢..., 解説]
+  // quiz は answer の番号がずれないよう選択肢を詰めない（空の解説は描画時に飛ばす）
+  function entryBlocks(e){
+    if (isQuiz(e)){
+      const opts = (Array.isArray(e.options) ? e.options : []).slice(0, QUIZ_LABELS.length).map(s=>normalize(s));
+      return [
+        { text: normalize(e.question||""), prefix: "" },
+        ...opts.map((o, k)=> ({ text: o, prefix: `${QUIZ_LABELS[k]}. ` })),
+        { text: normalize(e.explanation||""), prefix: "" }
+      ];
+    }
+    return (Array.isArray(e.items) ? e.items : []).map(s=>normalize(s)).filter(Boolean).slice(0, 12)
+      .map(t => ({ text: t, prefix: bullet }));
+  }
+
   // ----- font
   const fontPath = fontFor(LANG, S.font);
   if (!fontPath) throw new Error("No usable font found. Put NotoSans in assets/fonts or install Noto/DejaVu.");
   console.log(`[font:${LANG}] ${fontPath}`); // デバッグ表示
   const isCJK = LANG === "ja" || LANG === "zh" || LANG === "ko";
+  const isRTL = isRTLLang(LANG, S.direction);
 
-  // wrap limits（per lang override → EN/JA の既定）
+  // wrap: metric（既定）= フォント実測でパネル幅に合わせる / chars = 字数（下の limits）
+  // フォントが読めない場合も字数折返しにフォールバック
+  const fm = (S.wrap_mode || "metric") === "metric" ? loadFontMetrics(fontPath) : null;
+  const wrapSafety = S.wrap_safety ?? 0.96; // カーニング/シェーピング差分の余裕
+  console.log(`[wrap:${LANG}] ${fm ? "metric" : "chars"}`);
+
+  // wrap limits（chars モード用。per lang override → EN/JA の既定）
   const tLimit = S[`title_wrap_chars_${LANG}`] ?? (isCJK ? (S.title_wrap_chars_ja ?? 16) : (S.title_wrap_chars_en ?? 28));
   const iLimit = S[`item_wrap_chars_${LANG}`]  ?? (isCJK ? (S.item_wrap_chars_ja  ?? 18) : (S.item_wrap_chars_en  ?? 36));
 
   // positions
   const px = mX, py = mY, pw = W - mX*2, ph = H - mY*2;
   const ix = px + pX;
+  // RTL は右端（パネル右 - padding）に揃える
+  const xText = isRTL ? `w-text_w-${ix}` : String(ix);
   const iyTitle = py + pY;
-  const iyItemsStart = iyTitle + tSize + titleGap + titleBottomGap;
   const iyCta = py + ph - pY - cSize - 12;
+  const textW = (pw - 2*pX) * wrapSafety;
+
+  // fit-to-panel: 下限（未指定なら基準値の 70% 程度）
+  const fitMinTitle = S.fit_min_title_size ?? Math.round(tSize0 * 0.75);
+  const fitMinItem  = S.fit_min_item_size  ?? Math.round(iSize0 * 0.7);
+  const fitMinGap   = S.fit_min_line_gap   ?? Math.round(gap0 * 0.7);
+  const fitStep     = S.fit_step ?? 2;
+  const ctaClear    = S.cta_clearance ?? 36; // CTA box(boxborderw=24) との最小すき間
+  const indent = isCJK ? "　" : "   ";
+
+  // animation: none | fade | slide
+  const animMode = String(S.animation || "none").toLowerCase();
+  const slidePx  = S.anim_slide_px ?? 60;
+
+  // narration（tts_voice は言語ごとに style.yaml で上書き。espeak-ng は未指定なら言語コード）
+  const ttsEngine = String(TTS || S.tts || "none").toLowerCase();
+  const ttsVoice  = S.tts_voice || (ttsEngine === "espeak-ng" ? LANG : "");
+  const ttsDelay  = S.tts_delay ?? 0.3;   // 冒頭の無音（秒）
+  const ttsTail   = S.tts_tail  ?? 1.2;   // 読み終わり後の余白（秒）
+  const bgmVol    = S.bgm_volume ?? 1.0;
+  const duckRatio = S.duck_ratio ?? 8;    // ナレーション中の BGM 圧縮率
+
+  // captions: srt | vtt | both | none
+  const capMode = String(S.captions || "srt").toLowerCase();
+
+  // thumbnail（thumb_* は言語ブロックで上書き可。フォントは thumb_font → 本文フォント）
+  const thumbOn         = S.thumbnail !== false;
+  const thumbFont       = firstExisting([S.thumb_font]) || fontPath;
+  const thumbFm         = fm && thumbFont !== fontPath ? loadFontMetrics(thumbFont) : fm;
+  const thumbSize0      = S.thumb_title_size ?? Math.round(tSize0 * 1.8);
+  const thumbMinSize    = S.thumb_min_title_size ?? Math.round(thumbSize0 * 0.6);
+  const thumbMaxLines   = S.thumb_max_lines ?? 4;
+  const thumbLineGap    = S.thumb_line_gap ?? 24;
+  const thumbPad        = S.thumb_panel_padding ?? 72;
+  const thumbPanelAlpha = S.thumb_panel_alpha ?? 0.6;
+  const thumbColor      = S.thumb_color ?? "white";
+  const thumbAccent     = S.thumb_accent ?? "0xE0FFC8";
+  const thumbAccentW    = S.thumb_accent_width ?? 240;
+  const thumbQuality    = S.thumb_quality ?? 3; // -q:v（2=高画質〜31）
+
+  // サムネのタイトル: thumb_max_lines に収まるまで縮小。縦中央に配置
+  function thumbLayout(e){
+    let size = thumbSize0, lines;
+    for (;;){
+      lines = (thumbFm
+        ? wrapByWidth(e.title||"", (W - 2*pX) * wrapSafety, s => thumbFm.measure(s, size), LANG)
+        : wrapByLimit(normalize(e.title||""), Math.round(tLimit * tSize0 / size), isCJK));
+      if (lines.length <= thumbMaxLines || size <= thumbMinSize) break;
+      size = Math.max(thumbMinSize, size - 4);
+    }
+    const blockH = lines.length*size + (lines.length-1)*thumbLineGap;
+    return { size, lines: lines.map(l => bidiLine(l, isRTL)), blockH, y0: Math.round((H - blockH)/2) };
+  }
+
+  // 指定サイズで折返し → 縦位置を計算。bottom は最終行の下端
+  function layoutAt(e, tSize, iSize, gap){
+    const titleLines = (fm
+      ? wrapByWidth(e.title||"", textW, s => fm.measure(s, tSize), LANG)
+      : wrapByLimit(normalize(e.title||""), Math.round(tLimit * tSize0 / tSize), isCJK)
+    ).map(l => bidiLine(l, isRTL));
+    const blocks = entryBlocks(e);
+    const itemLines=[], itemOf=[]; // itemOf[k] = 行 k が属するブロック（箇条）の番号
+    for (const [ii, b] of blocks.entries()){
+      if (!b.text) continue;
+      const arr = fm
+        ? wrapByWidth(b.text, textW - fm.measure(b.prefix, iSize), s => fm.measure(s, iSize), LANG)
+        : wrapByLimit(b.text, Math.round(iLimit * iSize0 / iSize), isCJK);
+      // 論理順で先頭に置く → RTL 埋め込み内では右端に表示される
+      arr.forEach((line, li)=> {
+        itemLines.push(bidiLine(li===0 ? (b.prefix+line) : ((b.prefix ? indent : "")+line), isRTL));
+        itemOf.push(ii);
+      });
+    }
+
+    const titleLineSpace = Math.max(0, titleGap - tSize + 10);
+    const titleBottom = iyTitle + titleLines.length*tSize + (titleLines.length-1)*titleLineSpace;
+    // 既定位置（タイトル2行分を想定）より長いタイトルは箇条書きを押し下げる
+    const iyItemsStart = Math.max(iyTitle + tSize + titleGap + titleBottomGap, titleBottom + Math.round(titleBottomGap/2));
+    const bottom = itemLines.length ? iyItemsStart + (itemLines.length-1)*gap + iSize : titleBottom;
+    return { tSize, iSize, gap, titleLines, itemLines, itemOf, nItems: blocks.length, titleLineSpace, iyItemsStart, bottom };
+  }
+
+  // 入るまで title/item/gap を 1 ステップずつ縮める。全部下限でも入らなければ ok=false
+  function fitLayout(e){
+    let tSize = tSize0, iSize = iSize0, gap = gap0, steps = 0;
+    const limit = iyCta - ctaClear;
+    for (;;){
+      const L = layoutAt(e, tSize, iSize, gap);
+      if (L.bottom <= limit) return Object.assign(L, { ok:true, steps, limit });
+      const next = {
+        iSize: Math.max(fitMinItem, iSize - fitStep),
+        gap:   Math.max(fitMinGap, Math.round(gap - fitStep * gap0 / iSize0)),
+        tSize: Math.max(fitMinTitle, tSize - fitStep)
+      };
+      if (next.iSize === iSize && next.gap === gap && next.tSize === tSize){
+        return Object.assign(L, { ok:false, steps, limit });
+      }
+      ({ iSize, gap, tSize } = next);
+      steps++;
+    }
+  }
 
   // dirs
   const odir = outDir(DATE, LANG);
@@ -251,28 +518,83 @@ function pickBgPath(bgSetting){
 
   const CH = readChannelMetaKV(LANG);
 
+  // 出力名: ####（描画順）+ エントリ id（ファイル名に使えない文字は _ に）
+  const outBase = (i, e) => {
+    const n = String(i).padStart(4,"0");
+    const id = String(e.id || "").replace(/[^A-Za-z0-9_-]/g, "_");
+    return id ? `${n}-${id}` : n;
+  };
+
   let idx = 0;
   for (const e of (doc.entries || [])){
-    const nonEmpty = (Array.isArray(e.items) ? e.items : []).some(s => String(s||"").trim());
+    const quiz = isQuiz(e);
+    const blocks = entryBlocks(e);
+    const nonEmpty = blocks.some(b => b.text.trim());
     if (!String(e.title||"").trim() && !nonEmpty) {
       console.log("[skip] empty entry");
       continue;
     }
 
     idx++;
-    const outMp4  = path.join(odir, `${String(idx).padStart(4,"0")}.mp4`);
-    const outJson = path.join(odir, `${String(idx).padStart(4,"0")}.json`);
-
-    // ---- wrap/clean
-    const titleLines = wrapByLimit(normalize(e.title||""), tLimit, isCJK);
-    const rawItems = (Array.isArray(e.items) ? e.items : []).map(s=>normalize(s)).filter(Boolean).slice(0, 12);
-    const itemLines=[];
-    const indent = isCJK ? "　" : "   ";
-    for (const it of rawItems){
-      const arr = wrapByLimit(it, iLimit, isCJK);
-      arr.forEach((line, li)=> itemLines.push(li===0 ? (bullet+line) : (indent+line)));
+    const base = outBase(idx, e);
+
+    // ---- schema（--strict なら違反エントリは描画せず flagged/ に記録）
+    const schemaErrors = validateEntry(e, `entries[${(doc.entries || []).indexOf(e)}]`)
+      .map(x => Object.assign(x, { line: yamlLineOf(ymlText, x.path) }));
+    for (const x of schemaErrors) console.warn(`[schema] ${yml}:${x.line || "?"}: ${x.path}: ${x.message}`);
+    if (schemaErrors.length && STRICT){
+      const fdir = flagDir(DATE, LANG);
+      await fsp.mkdir(fdir, { recursive:true });
+      const fjson = path.join(fdir, `${base}.json`);
+      await fsp.writeFile(fjson, JSON.stringify({ reason: "schema", title: normalize(e.title||""), errors: schemaErrors }, null, 2), "utf8");
+      console.warn(`[flag schema] idx=${idx} (${schemaErrors.length} error(s)) ->`, fjson);
+      continue;
+    }
+
+    const outMp4  = path.join(odir, `${base}.mp4`);
+    const outJson = path.join(odir, `${base}.json`);
+
+    // ---- wrap/clean + fit-to-panel
+    const L = fitLayout(e);
+    const { tSize, iSize, gap, titleLines, itemLines, itemOf, titleLineSpace, iyItemsStart } = L;
+    const layoutMeta = { title_size: tSize, item_size: iSize, line_gap: gap, fit_steps: L.steps };
+    if (!L.ok){
+      // 下限サイズでも CTA に被る → レンダリングせず flagged/ に記録
+      const fdir = flagDir(DATE, LANG);
+      await fsp.mkdir(fdir, { recursive:true });
+      const fjson = path.join(fdir, `${base}.json`);
+      await fsp.writeFile(fjson, JSON.stringify({
+        reason: "overflow",
+        title: normalize(e.title||""),
+        items: quiz ? [e.question || "", ...(e.options || [])] : (e.items || []),
+        layout: Object.assign(layoutMeta, { bottom: L.bottom, limit: L.limit })
+      }, null, 2), "utf8");
+      console.warn(`[flag overflow] idx=${idx} bottom=${L.bottom} > ${L.limit} ->`, fjson);
+      continue;
+    }
+    if (L.steps) console.log(`[fit] idx=${idx} title=${tSize} item=${iSize} gap=${gap} (${L.steps} steps)`);
+    const ctaLine = bidiLine(normalize(e.cta || "Save and try one today"), isRTL);
+
+    // ---- narration（失敗してもナレーション無しで続行）
+    // quiz は答えを言わない（タイトル + 質問 + 選択肢）。正解表示まで quiz_answer_hold 秒は残す
+    let narration = null, narrEnd = 0, dur = Number(DUR);
+    if (ttsEngine !== "none"){
+      const spoken = (quiz ? blocks.slice(0, -1) : blocks).map(b => quiz ? b.prefix + b.text : b.text).filter(Boolean);
+      const tail = quiz ? Math.max(ttsTail, S.quiz_answer_hold ?? 2) : ttsTail;
+      const wav = path.join(tmpRoot, `narration_${idx}.wav`);
+      const nDur = synthesize({
+        engine: ttsEngine, voice: ttsVoice, rate: S.tts_rate,
+        text: [normalize(e.title||""), ...spoken].join("\n"),
+        textFile: path.join(tmpRoot, `narration_${idx}.txt`),
+        out: wav
+      });
+      if (nDur) {
+        narration = wav;
+        narrEnd = ttsDelay + nDur;
+        dur = Math.max(dur, Math.ceil((narrEnd + tail) * 10) / 10);
+        console.log(`[tts] ${ttsEngine} voice=${ttsVoice || "-"} ${nDur.toFixed(1)}s -> dur=${dur}s`);
+      }
     }
-    const ctaLine = normalize(e.cta || "Save and try one today");
 
     // ---- textfiles
     const textFiles = [];
@@ -289,36 +611,54 @@ function pickBgPath(bgSetting){
     // 背景+パネル
     parts.push(`[0:v]scale=${W}:${H},format=rgba,drawbox=x=${px}:y=${py}:w=${pw}:h=${ph}:color=black@${panelAlpha}:t=fill[v0]`);
 
+    // 表示スケジュール（animation: none なら全要素が常時表示）
+    const sched = quiz ? buildQuizSchedule(L.nItems - 2, dur, S, narrEnd) : buildSchedule(L.nItems, dur, S);
+    const answerBlock = quiz && Number.isInteger(e.answer) && e.answer >= 0 && e.answer < L.nItems - 2 ? e.answer + 1 : -1;
+    if (quiz && answerBlock < 0) console.warn(`[quiz] idx=${idx} answer=${e.answer} out of range; no highlight`);
+
     // タイトル
-    const titleLineSpace = Math.max(0, titleGap - tSize + 10);
     let vi = 0;
     for (let k=0; k<titleLines.length; k++){
       const tf = await makeTxt(`title_${idx}_${k}`, titleLines[k]);
       const y  = `${iyTitle}+${k}*(${tSize}+${titleLineSpace})`;
+      const rv = revealOpts(animMode, sched.title.start, sched.fade, xText, isRTL, slidePx);
       parts.push(
-        `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=${ix}:y=${y}:fontsize=${tSize}:fontcolor=white:` +
-        `shadowcolor=black@0.6:shadowx=2:shadowy=2:text_shaping=1[v${vi+1}]`
+        `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=${rv.x}:y=${y}:fontsize=${tSize}:fontcolor=white:` +
+        `shadowcolor=black@0.6:shadowx=2:shadowy=2:text_shaping=1${rv.extra}[v${vi+1}]`
       );
       vi++;
     }
 
-    // 箇条書き
+    // 箇条書き（折返し行は同じ箇条のタイミングで出す）
+    // quiz の解説は animation: none でも reveal までは隠す。正解は reveal で同じ位置に強調色 + 箱で重ね描き
     for (let k=0; k<itemLines.length; k++){
       const tf = await makeTxt(`item_${idx}_${k}`, itemLines[k]);
       const y  = `${iyItemsStart}+${k}*${gap}`;
+      const explain = quiz && itemOf[k] === L.nItems - 1;
+      const mode = explain && animMode === "none" ? "fade" : animMode;
+      const rv = revealOpts(mode, sched.items[itemOf[k]].start, sched.fade, xText, isRTL, slidePx);
       parts.push(
-        `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=${ix}:y=${y}:fontsize=${iSize}:fontcolor=white:` +
-        `shadowcolor=black@0.5:shadowx=1:shadowy=1:text_shaping=1[v${vi+1}]`
+        `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=${rv.x}:y=${y}:fontsize=${iSize}:fontcolor=${explain ? quizAccent : "white"}:` +
+        `shadowcolor=black@0.5:shadowx=1:shadowy=1:text_shaping=1${rv.extra}[v${vi+1}]`
       );
       vi++;
+      if (itemOf[k] === answerBlock){
+        const hv = revealOpts("fade", sched.reveal, sched.fade, xText, isRTL, 0);
+        parts.push(
+          `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=${hv.x}:y=${y}:fontsize=${iSize}:fontcolor=${quizAccent}:` +
+          `box=1:boxcolor=${quizBox}:boxborderw=10:text_shaping=1${hv.extra}[v${vi+1}]`
+        );
+        vi++;
+      }
     }
 
-    // CTA
+    // CTA（slide でも中央固定。フェードのみ）
     {
       const tf = await makeTxt(`cta_${idx}`, ctaLine);
+      const rv = revealOpts(animMode === "none" ? "none" : "fade", sched.cta.start, sched.fade, "(w-text_w)/2", isRTL, 0);
       parts.push(
-        `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=(w-text_w)/2:y=${iyCta}:fontsize=${cSize}:fontcolor=0xE0FFC8:` +
-        `box=1:boxcolor=black@0.55:boxborderw=24:text_shaping=1[v]`
+        `[v${vi}]drawtext=fontfile='${fontPath}':textfile='${tf}':x=${rv.x}:y=${iyCta}:fontsize=${cSize}:fontcolor=0xE0FFC8:` +
+        `box=1:boxcolor=black@0.55:boxborderw=24:text_shaping=1${rv.extra}[v]`
       );
     }
 
@@ -329,12 +669,12 @@ function pickBgPath(bgSetting){
     let bgArgs;
     if (chosenBg) {
       const isImg = /\.(jpe?g|png)$/i.test(chosenBg);
-      if (isImg) bgArgs = ["-loop","1","-t", String(DUR), "-i", chosenBg];
-      else       bgArgs = ["-stream_loop","-1","-t", String(DUR), "-i", chosenBg];
+      if (isImg) bgArgs = ["-loop","1","-t", String(dur), "-i", chosenBg];
+      else       bgArgs = ["-stream_loop","-1","-t", String(dur), "-i", chosenBg];
       console.log("[bg]", path.basename(chosenBg));
     } else {
       console.warn("[warn] no background found; fallback to solid color");
-      bgArgs = ["-f","lavfi","-t", String(DUR), "-i","color=c=black:s=1080x1920"];
+      bgArgs = ["-f","lavfi","-t", String(dur), "-i","color=c=black:s=1080x1920"];
     }
 
     // ---- inputs（音声）
@@ -342,17 +682,38 @@ function pickBgPath(bgSetting){
     if (chosenAudio && fs.existsSync(chosenAudio)) {
       console.log("[bgm]", path.basename(chosenAudio));
     }
+    // ナレーションで尺が伸びた場合に備えて BGM はループ（-shortest で映像尺に揃う）
     const audioArgs = (chosenAudio && fs.existsSync(chosenAudio))
-      ? ["-i", chosenAudio]
-      : ["-f","lavfi","-t", String(DUR), "-i","anullsrc=cl=stereo:r=44100"];
+      ? ["-stream_loop","-1","-i", chosenAudio]
+      : ["-f","lavfi","-t", String(dur), "-i","anullsrc=cl=stereo:r=44100"];
+
+    // ナレーション: [2:a] をサイドチェインにして BGM をダッキング → ミックス
+    let audioMap = "1:a?";
+    const narrArgs = [];
+    let fullGraph = filtergraph;
+    if (narration){
+      const ms = Math.round(ttsDelay * 1000);
+      narrArgs.push("-i", narration);
+      fullGraph += ";" + [
+        `[2:a]aformat=sample_rates=44100:channel_layouts=stereo,adelay=${ms}|${ms},apad,asplit=2[nar][sc]`,
+        `[1:a]aformat=sample_rates=44100:channel_layouts=stereo,volume=${bgmVol}[bgm]`,
+        `[bgm][sc]sidechaincompress=threshold=0.02:ratio=${duckRatio}:attack=20:release=400[duck]`,
+        `[duck][nar]amix=inputs=2:duration=first:dropout_transition=0,volume=2[a]`
+      ].join(";");
+      audioMap = "[a]";
+    } else if (bgmVol !== 1.0) {
+      fullGraph += `;[1:a]volume=${bgmVol}[a]`;
+      audioMap = "[a]";
+    }
 
     // ---- ffmpeg
     const args = [
       "-y",
       ...bgArgs,
       ...audioArgs,
-      "-filter_complex", filtergraph,
-      "-map","[v]","-map","1:a?",
+      ...narrArgs,
+      "-filter_complex", fullGraph,
+      "-map","[v]","-map", audioMap,
       "-shortest",
       "-r","30","-c:v","libx264","-pix_fmt","yuv420p","-c:a","aac",
       outMp4
@@ -365,18 +726,75 @@ function pickBgPath(bgSetting){
       throw new Error("ffmpeg failed");
     }
 
+    // ---- captions（字幕は生テキスト。RTL 埋め込み記号は入れない）
+    const capFiles = [];
+    if (capMode !== "none"){
+      // quiz: 選択肢はラベル付き。解説の cue は「正解の選択肢 + 解説」
+      const items = blocks.map(b => quiz ? b.prefix + b.text : b.text);
+      if (quiz) items[items.length-1] = answerBlock > 0
+        ? [items[answerBlock], blocks[blocks.length-1].text].filter(Boolean).join("\n")
+        : blocks[blocks.length-1].text;
+      const cues = captionCues(sched, normalize(e.title||""), items, normalize(e.cta || "Save and try one today"));
+      const base = outMp4.replace(/\.mp4$/i, "");
+      if (capMode === "srt" || capMode === "both"){
+        await fsp.writeFile(`${base}.srt`, toSRT(cues), "utf8"); capFiles.push(`${base}.srt`);
+      }
+      if (capMode === "vtt" || capMode === "both"){
+        await fsp.writeFile(`${base}.vtt`, toVTT(cues), "utf8"); capFiles.push(`${base}.vtt`);
+      }
+    }
+
+    // ---- thumbnail（####.jpg: 背景の先頭フレーム + 帯パネル + 大きいタイトル）
+    let thumbFile = null;
+    if (thumbOn){
+      const tl = thumbLayout(e);
+      const band = { y: Math.round(tl.y0 - thumbPad), h: Math.round(tl.blockH + thumbPad*2) };
+      const tparts = [
+        `[0:v]scale=${W}:${H}:force_original_aspect_ratio=increase,crop=${W}:${H},format=rgba,` +
+        `drawbox=x=0:y=${band.y}:w=${W}:h=${band.h}:color=black@${thumbPanelAlpha}:t=fill,` +
+        `drawbox=x=${Math.round((W - thumbAccentW)/2)}:y=${band.y + band.h - 14}:w=${thumbAccentW}:h=8:color=${thumbAccent}:t=fill[t0]`
+      ];
+      for (let k=0; k<tl.lines.length; k++){
+        const tf = await makeTxt(`thumb_${idx}_${k}`, tl.lines[k]);
+        const y = Math.round(tl.y0 + k*(tl.size + thumbLineGap));
+        tparts.push(
+          `[t${k}]drawtext=fontfile='${thumbFont}':textfile='${tf}':x=(w-text_w)/2:y=${y}:fontsize=${tl.size}:fontcolor=${thumbColor}:` +
+          `shadowcolor=black@0.7:shadowx=3:shadowy=3:text_shaping=1[t${k+1}]`
+        );
+      }
+      const thumbBg = S.thumb_bg || chosenBg;
+      const tin = thumbBg
+        ? (/\.(jpe?g|png)$/i.test(thumbBg) ? ["-i", thumbBg] : ["-ss","0","-i", thumbBg])
+        : ["-f","lavfi","-i",`color=c=black:s=${W}x${H}`];
+      thumbFile = outMp4.replace(/\.mp4$/i, ".jpg");
+      const tr = spawnSync("ffmpeg", [
+        "-y", ...tin, "-filter_complex", tparts.join(";"), "-map", `[t${tl.lines.length}]`,
+        "-frames:v","1","-q:v", String(thumbQuality), thumbFile
+      ], { stdio: "inherit" });
+      if (tr.status !== 0) { console.warn("[thumb] ffmpeg failed; skip thumbnail"); thumbFile = null; }
+    }
+
     // ---- sidecar
     const titleText = `${normalize(e.title || "Small Wins")}${CH.title_suffix || ""}`;
     const tags = (Array.isArray(e.tags) && e.tags.length) ? e.tags.slice(0,10) : CH.tags;
     let desc = CH.description; if (CH.tags_extra) desc += `\n${CH.tags_extra}`;
     desc = normalize(desc).replace(/^\s*(title_suffix|description)\s*=\s*/i,"").trim();
-    const sidecar = { title: titleText, description: desc, tags };
+    // quiz: 説明欄の先頭に質問と選択肢（答えは書かない）
+    if (quiz) desc = [blocks[0].text, ...blocks.slice(1, -1).map(b => b.prefix + b.text)].join("\n") + "\n\n" + desc;
+    const sidecar = { title: titleText, description: desc, tags, layout: layoutMeta, duration: dur };
+    if (quiz) Object.assign(sidecar, { type: "quiz", quiz: { answer: e.answer, reveal_at: Number(sched.reveal.toFixed(2)) } });
+    if (narration) sidecar.narration = { engine: ttsEngine, voice: ttsVoice || null };
+    if (thumbFile) sidecar.thumbnail = path.basename(thumbFile);
+    if (e.id) sidecar.entry_id = String(e.id);
+    if (e.source) sidecar.source = e.source;
     await fsp.writeFile(outJson, JSON.stringify(sidecar, null, 2), "utf8");
 
     // cleanup
     for (const p of textFiles){ try { await fsp.unlink(p); } catch(_){} }
     console.log("[mp4]", outMp4);
     console.log("[meta]", outJson);
+    for (const c of capFiles) console.log("[captions]", c);
+    if (thumbFile) console.log("[thumb]", thumbFile);
   }
 
   try { await fsp.rm(tmpRoot, { recursive:true, force:true }); } catch(_) {}
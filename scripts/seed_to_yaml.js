@@ -1,33 +1,46 @@
 // scripts/seed_to_yaml.js
 // Seeds (by categories/weights) -> EN master YAML (robust)
 // - JSON strict 出力 + バリデーション + リトライ + フォールバック
-// - solo（個人習慣）/ team（チームハック）の両プロファイル対応
+// - プロンプト等は data/profiles/<name>.yaml（カテゴリごとの既定は categories.yaml）
 //
 // usage:
 //   node scripts/seed_to_yaml.js --count=3
 //   node scripts/seed_to_yaml.js --count=5 --cats=habits8,steady
 //   node scripts/seed_to_yaml.js --count=5 --cats=rituals:2,ops:1 --profile=team
+//   node scripts/seed_to_yaml.js --count=2 --profile=quiz
+//   使い切ったカテゴリは --cooldown-days（既定 30）を過ぎた seed を古い順に再利用
 //
-// env: OPENAI_API_KEY (required), OPENAI_MODEL (optional; default gpt-4o-mini)
+// env: LLM_PROVIDER (openai|compat|mock; default openai) — 詳細は scripts/lib/llm.js
+//      OPENAI_API_KEY (openai で必須), OPENAI_MODEL (optional; default gpt-4o-mini)
+//   offline: LLM_PROVIDER=mock node scripts/seed_to_yaml.js --count=3 --min-quality=0
+//            （fixture が無い seed はフォールバック扱い = score 0 なので --min-quality=0 で保留させない）
 
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
+const crypto = require("crypto");
 const yaml = require("js-yaml");
-const { OpenAI } = require("openai");
+const { createLLM } = require("./lib/llm");
+const { loadProfile, profileNameFor, loadCategoryMap, renderTemplate } = require("./lib/profiles");
+const { postedTitles } = require("./lib/ledger");
+const { findSimilar, thresholdFor, readTitleSuffix } = require("./lib/title_similarity");
+const {
+  COOLDOWN_DAYS, loadPoolFiltered, loadUsed, saveUsed, markUsed, planEligible, categoryStats, parseCats,
+  sampleWithCategoryWeights,
+} = require("./lib/seeds");
 
-const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 const TODAY = new Date().toISOString().slice(0,10);
 const COUNT = parseInt((process.argv.find(a=>a.startsWith("--count="))||"").split("=")[1] || "3", 10);
 const CATS_ARG = (process.argv.find(a=>a.startsWith("--cats="))||"").split("=")[1] || "";
-const PROFILE = (process.argv.find(a=>a.startsWith("--profile="))||"").split("=")[1] || (process.env.PROFILE || "solo"); // "solo" | "team"
-
-const POOL_ROOT = path.join("data","seeds");
-const STATE_DIR = path.join("data","_state");
-const USED_FILE = path.join(STATE_DIR, "used_seeds.json");
+const COOLDOWN = parseFloat((process.argv.find(a=>a.startsWith("--cooldown-days="))||"").split("=")[1] || String(COOLDOWN_DAYS));
+const PROFILE = (process.argv.find(a=>a.startsWith("--profile="))||"").split("=")[1] || process.env.PROFILE || ""; // 空ならカテゴリの対応表
+const MIN_QUALITY = parseFloat((process.argv.find(a=>a.startsWith("--min-quality="))||"").split("=")[1] || process.env.QUALITY_MIN || "0.5");
 
 function outPathEN(date){ return path.join("data","en",`${date}.yaml`); }
-function unique(arr){ return [...new Set(arr)]; }
+function dupsPathEN(date){ return path.join("data","en","dups",`${date}.yaml`); }
+function heldPathEN(date){ return path.join("data","en","held",`${date}.yaml`); }
+function qualityReportPath(date){ return path.join("data","_state","quality",`${date}.json`); }
+const DUP_SPARE = 3; // 近似重複/品質保留で落ちた分を埋める予備 seed 数
 const stripCtrl = s => String(s||"").replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g,"");
 const clean = s => stripCtrl(String(s||"").replace(/\u00A0/g," ")).trim();
 
@@ -36,29 +49,13 @@ const MAX_ITEMS = 7;
 const WORDS_MAX  = 10;
 
 // ===== 判定・補正ユーティリティ =====
-const PHYSICAL_VERBS = [
-  "stand","walk","stretch","breathe","drink","move","sit","run","shake",
-  "jump","squat","push","pull","hydrate","smile","clap"
-];
+// body / ritual / tool のキーワードはプロファイル側（profile.has.*）
 const IMPERATIVE_SEEDS = [
   "Start","Stop","Set","Keep","Limit","Cut","Open","Close",
   "Write","Plan","List","Clear","Tidy","Clean","Mute","Silence",
   "Stand","Walk","Stretch","Breathe","Drink","Focus","Move","Pause","Share","Post","Schedule","Host","Celebrate","Rotate"
 ];
 
-// チームハック固有
-const RITUAL_KEYWORDS = [
-  "standup","check-in","checkin","retro","retrospective","demo","sync","daily","weekly","round-robin","kudos","shoutouts","wins","rose","thorn","bud","icebreaker","heartbeat","huddle"
-];
-const TOOL_KEYWORDS = [
-  "Slack","Notion","Jira","Miro","Docs","Drive","Calendar","Zoom","Meet","Trello","ClickUp","Asana"
-];
-
-const hasDigit = s => /\d/.test(String(s||""));
-const hasBodyAction = s => new RegExp(`\\b(${PHYSICAL_VERBS.join("|")})\\b`,"i").test(String(s||""));
-const hasRitual     = s => new RegExp(`\\b(${RITUAL_KEYWORDS.join("|")})\\b`,"i").test(String(s||""));
-const hasTool       = s => new RegExp(`\\b(${TOOL_KEYWORDS.join("|")})\\b`,"i").test(String(s||""));
-
 function imperativeize(line){
   const t = clean(line);
   if (!t) return t;
@@ -74,8 +71,12 @@ function wordTrim(line, max=WORDS_MAX){
   return parts.slice(0, max).join(" ");
 }
 
-function normalizeItems(rawItems, opts){
-  const { requireDigit=true, requireBody=true, requireRitual=false, requireTool=false } = (opts||{});
+// trace に手を入れた内容を記録: injected（差し込んだ cue と行）/ padded / truncated / rewritten（"Start" 付与）/
+// dropped（MAX 超過で落とした本数）/ deduped / filler（差し込み・埋め草の定型行）
+function normalizeItems(rawItems, profile, trace = {}){
+  const req = profile.require;
+  const has = profile.has;
+  Object.assign(trace, { injected: [], padded: 0, truncated: 0, rewritten: 0, dropped: 0, deduped: 0, filler: [] });
 
   // 1) clean + dedupe（大小無視）
   let items = (Array.isArray(rawItems) ? rawItems : [])
@@ -83,215 +84,86 @@ function normalizeItems(rawItems, opts){
   const seen = new Set();
   items = items.filter(x=>{
     const key = x.toLowerCase();
-    if (seen.has(key)) return false;
+    if (seen.has(key)) { trace.deduped++; return false; }
     seen.add(key);
     return true;
   });
 
   // 2) imperativeize + trim length
-  items = items.map(x => wordTrim(imperativeize(x), WORDS_MAX));
+  items = items.map(x => {
+    const imp = imperativeize(x);
+    const out = wordTrim(imp, WORDS_MAX);
+    if (imp !== x) trace.rewritten++;
+    if (out !== imp) trace.truncated++;
+    return out;
+  });
 
   // 3) 現状把握
-  let anyDigit = items.some(hasDigit);
-  let anyBody  = items.some(hasBodyAction);
-  let anyRitual= items.some(hasRitual);
-  let anyTool  = items.some(hasTool);
-
-  // 4) 不足の注入（優先順：儀式→ツール→数字→体）
-  if (requireRitual && !anyRitual) items.unshift("Run a 10-minute standup round-robin");
-  if (requireTool   && !anyTool)   items.unshift("Post a daily check-in thread on Slack");
-  if (requireDigit  && !anyDigit)  items.unshift("Set a 2-minute timer for focus");
-  if (requireBody   && !anyBody)   items.unshift("Stand and stretch your back together");
+  const CUES = ["ritual","tool","digit","body"];
+  const present = Object.fromEntries(CUES.map(k => [k, items.some(has[k])]));
+
+  // 4) 不足の注入（優先順：儀式→ツール→数字→体。行はプロファイルの inject）
+  for (const k of CUES){
+    if (req[k] && !present[k] && profile.inject[k]){
+      items.unshift(profile.inject[k]);
+      trace.injected.push(k);
+      trace.filler.push(profile.inject[k]);
+    }
+  }
 
   // 5) >MAX → 優先項目を残して絞る
   if (items.length > MAX_ITEMS){
     const keep = [];
     const pushUnique = x => { if (!keep.includes(x)) keep.push(x); };
     // 優先：儀式/ツール/体/数字/残り
-    items.filter(hasRitual).forEach(pushUnique);
-    items.filter(x => hasTool(x) && !keep.includes(x)).forEach(pushUnique);
-    items.filter(x => hasBodyAction(x) && !keep.includes(x)).forEach(pushUnique);
-    items.filter(x => hasDigit(x) && !keep.includes(x)).forEach(pushUnique);
+    items.filter(has.ritual).forEach(pushUnique);
+    items.filter(x => has.tool(x) && !keep.includes(x)).forEach(pushUnique);
+    items.filter(x => has.body(x) && !keep.includes(x)).forEach(pushUnique);
+    items.filter(x => has.digit(x) && !keep.includes(x)).forEach(pushUnique);
     items.filter(x => !keep.includes(x)).forEach(pushUnique);
+    trace.dropped = keep.length - MAX_ITEMS;
     items = keep.slice(0, MAX_ITEMS);
   }
 
-  // 6) <MIN → パッド
-  const padPool = [
-    "Give three kudos in team channel",
-    "Share one tiny win before lunch",
-    "Schedule a weekly demo on Calendar",
-    "Limit meetings to 25 minutes",
-    "Write one-line goal in Notion"
-  ];
-  while (items.length < MIN_ITEMS){
+  // 6) <MIN → パッド（プロファイルの pad_pool。無ければフォールバックの箇条書き）
+  const padPool = profile.pad_pool.length ? profile.pad_pool : profile.fallback.items;
+  while (items.length < MIN_ITEMS && padPool.length){
     const cand = padPool[items.length % padPool.length];
-    items.push(wordTrim(imperativeize(cand), WORDS_MAX));
+    const line = wordTrim(imperativeize(cand), WORDS_MAX);
+    items.push(line);
+    trace.padded++;
+    trace.filler.push(line);
   }
 
   return items;
 }
 
-// ====== seeds I/O ======
-async function listCategories(){
-  if (!fs.existsSync(POOL_ROOT)) return [];
-  return fs.readdirSync(POOL_ROOT).filter(d => fs.statSync(path.join(POOL_ROOT,d)).isDirectory());
-}
-
-async function loadPoolByCategory(cat){
-  const dir = path.join(POOL_ROOT, cat);
-  if (!fs.existsSync(dir)) return [];
-  const files = fs.readdirSync(dir).filter(f=>f.endsWith(".txt"));
-  let lines = [];
-  for (const f of files){
-    const txt = await fsp.readFile(path.join(dir,f),"utf8");
-    const arr = txt.split(/\r?\n/).map(s=>s.trim()).filter(s=>s && !s.startsWith("#"));
-    lines.push(...arr.map(x => ({ text:x, cat })));
-  }
-  const seen = new Set(); const out=[];
-  for (const it of lines){
-    const key = it.text;
-    if (seen.has(key)) continue;
-    seen.add(key); out.push(it);
-  }
-  return out;
-}
-
-async function loadPoolFiltered(catsWeights){
-  const cats = catsWeights ? Object.keys(catsWeights) : await listCategories();
-  let pool = [];
-  for (const c of cats){
-    pool.push(...await loadPoolByCategory(c));
-  }
-  return pool;
-}
-
-async function loadUsed(){
-  try { return JSON.parse(await fsp.readFile(USED_FILE,"utf8")); }
-  catch { return []; }
-}
-async function saveUsed(used){
-  await fsp.mkdir(STATE_DIR, { recursive:true });
-  await fsp.writeFile(USED_FILE, JSON.stringify(used,null,2), "utf8");
-}
-
-function buildRemaining(pool, used){
-  const usedSet = new Set(used.map(u => `${u.cat}::${u.text}`));
-  return pool.filter(s => !usedSet.has(`${s.cat}::${s.text}`));
+// ====== 品質 ======
+// score: 1 = モデルが書いたまま。本数あたり 差し込み/埋め草 1、切り詰め 0.5、"Start" 付与 0.25 を減点（0〜1）
+// フォールバック（LLM 失敗/検証落ち）は 0
+function qualityOf(trace, n, extra = {}){
+  const penalty = trace.injected.length + trace.padded + 0.5*trace.truncated + 0.25*trace.rewritten + (extra.penalty || 0);
+  const score = n ? Math.max(0, 1 - penalty / n) : 0;
+  return Object.assign({ score: Math.round(score * 100) / 100, fallback: false }, trace, extra.fields || {});
 }
 
-function parseCats(arg){
-  if (!arg) return null;
-  const m = {};
-  arg.split(",").map(s=>s.trim()).filter(Boolean).forEach(tok=>{
-    const [name,wRaw] = tok.split(":");
-    const w = Math.max(1, parseInt(wRaw||"1",10));
-    m[name] = w;
-  });
-  return m;
-}
-
-function weightedPickCategory(remaining, catsWeights){
-  if (!catsWeights) return null;
-  const byCat = {};
-  for (const it of remaining){ (byCat[it.cat] ||= []).push(it); }
-  const entries = Object.entries(byCat).filter(([_,arr])=>arr.length>0);
-  if (!entries.length) return null;
-  const weighted = entries.map(([cat]) => ({ cat, weight: catsWeights[cat] || 1 }));
-  const sum = weighted.reduce((a,b)=>a+b.weight,0);
-  let r = Math.random() * sum;
-  for (const w of weighted){ if ((r -= w.weight) <= 0) return w.cat; }
-  return weighted[weighted.length-1].cat;
-}
-function pickOneFromCategory(remaining, cat){
-  const arr = remaining.filter(s => s.cat === cat);
-  if (!arr.length) return null;
-  return arr[Math.floor(Math.random()*arr.length)];
-}
-function sampleWithCategoryWeights(pool, count, catsWeights){
-  const picks = []; let remaining = pool.slice();
-  while (picks.length < Math.min(count, pool.length)){
-    let chosenCat = weightedPickCategory(remaining, catsWeights);
-    let pick = chosenCat
-      ? (pickOneFromCategory(remaining, chosenCat) || remaining[Math.floor(Math.random()*remaining.length)])
-      : remaining[Math.floor(Math.random()*remaining.length)];
-    picks.push(pick);
-    remaining = remaining.filter(s => !(s.cat===pick.cat && s.text===pick.text));
-  }
-  return picks;
+// フォールバックは全行が定型文（filler）
+function fallbackQuality(error, filler){
+  return { score: 0, fallback: true, error: String(error || "unknown"), filler };
 }
 
-// ====== OpenAI ======
+// ====== LLM ======
 function buildUserPrompt(seed, profile){
-  if (profile === "team"){
-    // チームハック用：明確なターゲット/痛み/導線を指示
-    return `
-Seed (title idea; may be JP/EN):
-"${seed}"
-
-You write ultra-practical micro "Team Hacks" for 10–15s YouTube Shorts.
-Target: hands-on leaders of hybrid/remote teams of 10–80 people
- (team leads, PMs, Scrum Masters, product managers, small founders).
-Pains: scattered attention, fewer casual chats, low praise loop,
- too many meetings, rituals not sticking. Desired: a lightweight,
- visible "connection" gimmick they can test today (free), then
- upgrade later with a physical trigger (e.g., team tokens).
-
-Return STRICT JSON with keys:
-- "title": <= 60 chars, clear and engaging
-- "items": array of 3–7 bullets, each 4–10 words
-  * Each bullet MUST start with an imperative verb
-  * Include at least ONE numeric digit (e.g., 2, 30s, 9 tabs)
-  * Include at least ONE body-based micro action (stand, walk, stretch, breathe, drink)
-  * Include at least ONE team ritual cue (standup, check-in, retro, demo, kudos)
-  * Include at least ONE tool cue (Slack, Notion, Jira, Calendar, Zoom)
-- "cta": very short imperative line that hints
-  "Run free today → upgrade later"
-- "tags": 2–4 simple tags (e.g., team, ritual, small wins)
-
-Rules:
-- Output MUST be English.
-- No markdown or code fences. JSON object only.
-- Keep everyday language. No corporate jargon. Avoid duplicates.
-`.trim();
-  }
-
-  // 既存：個人習慣（Small Success Habits）
-  return `
-Seed (title idea; may be JP/EN):
-"${seed}"
-
-You generate concise, practical self-improvement content for 10–15s YouTube Shorts.
-
-Return STRICT JSON with keys:
-- "title": <= 60 chars, clear and engaging
-- "items": array of 3–7 bullets, each 4–10 words
-  * Each bullet MUST start with an imperative verb
-  * Include at least ONE numeric digit (e.g., 2, 30s, 9 tabs)
-  * Include at least ONE body-based micro action (stand, walk, stretch, breathe, drink)
-- "cta": very short imperative line
-- "tags": 2–4 simple tags
-
-Rules:
-- Output MUST be English.
-- No markdown or code fences. JSON object only.
-- Avoid duplicates. Keep everyday language. Use digits for numbers.
-`.trim();
+  return renderTemplate(profile.user, { seed }).trim();
 }
 
-async function askOpenAI_JSON(client, seed, profile){
-  const sys = profile === "team"
-    ? "You generate ultra-practical micro 'Team Hacks' for hybrid/remote teams."
-    : "You generate concise, practical self-improvement content for Shorts.";
-  const user = buildUserPrompt(seed, profile);
-
-  const r = await client.chat.completions.create({
-    model: MODEL,
-    temperature: 0.3,
-    messages: [{role:"system",content:sys},{role:"user",content:user}],
-    response_format: { type: "json_object" }
+async function askLLM_JSON(llm, seed, profile){
+  return llm.chatJSON({
+    system: String(profile.system).trim(),
+    user: buildUserPrompt(seed, profile),
+    temperature: 0.3
+    // mockReply は渡さない: mock で fixture が無ければ throw → 通常のフォールバック（fallback: true）として記録
   });
-  return r.choices?.[0]?.message?.content || "{}";
 }
 
 function hasCJK(s){ return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(String(s||"")); }
@@ -314,100 +186,302 @@ function validEnglishEntry(obj){
 
 // ====== フォールバック ======
 function fallbackEntryFrom(seed, profile){
-  const base = clean(seed) || (profile==="team" ? "Tiny team wins to try today" : "Tiny wins to reset your day");
+  const base = clean(seed) || profile.fallback.title;
   let title = base.length > 60 ? base.slice(0,57) + "..." : base;
 
-  const itemsSolo = [
-    "Set a 2-minute timer",
-    "Drink a glass of water",
-    "Stand and stretch your back",
-    "Breathe slowly for 30 seconds",
-    "Write one line in a journal"
-  ];
-  const itemsTeam = [
-    "Post a daily check-in thread on Slack",
-    "Run a 10-minute standup round-robin",
-    "Give three kudos in team channel",
-    "Limit meetings to 25 minutes",
-    "Stand and stretch together for 60 seconds"
-  ];
-
-  const items = (profile==="team" ? itemsTeam : itemsSolo);
-  const normalized = normalizeItems(items, {
-    requireDigit: true,
-    requireBody: true,
-    requireRitual: profile==="team",
-    requireTool:   profile==="team"
-  });
-
   return {
     title,
-    items: normalized,
-    cta: profile==="team" ? "Run free today, upgrade later" : "Save and try one today",
-    tags: profile==="team" ? ["team","ritual","small wins"] : ["mindset","small wins"]
+    items: normalizeItems(profile.fallback.items, profile),
+    cta: profile.defaults.cta,
+    tags: profile.defaults.tags.slice()
   };
 }
 
-async function generateOne(client, seed, profile){
+async function generateOne(llm, seed, profile){
+  if (profile.format === "quiz") return generateQuiz(llm, seed, profile);
+  let lastError = null;
   for (let attempt=0; attempt<2; attempt++){
     try{
-      const json = await askOpenAI_JSON(client, seed, profile);
+      const json = await askLLM_JSON(llm, seed, profile);
       let obj;
       try { obj = JSON.parse(json); } catch { obj = {}; }
       if (!validEnglishEntry(obj)) throw new Error("validation failed");
 
-      const items = normalizeItems(obj.items, {
-        requireDigit: true,
-        requireBody:  true,
-        requireRitual: profile==="team",
-        requireTool:   profile==="team"
-      });
-
+      const trace = {};
       const out = {
         title: clean(obj.title),
-        items,
-        cta: clean(obj.cta) || (profile==="team" ? "Run free today, upgrade later" : "Save and try one today"),
+        items: normalizeItems(obj.items, profile, trace),
+        cta: clean(obj.cta) || profile.defaults.cta,
         tags: (Array.isArray(obj.tags) && obj.tags.length
                 ? obj.tags.map(x=>clean(x)).slice(0,4)
-                : (profile==="team" ? ["team","ritual","small wins"] : ["mindset","small wins"]))
+                : profile.defaults.tags.slice())
       };
+      out.quality = qualityOf(trace, out.items.length);
       return out;
     }catch(e){
+      lastError = e?.message || e;
       // retry
     }
   }
-  return fallbackEntryFrom(seed, profile);
+  const fb = fallbackEntryFrom(seed, profile);
+  return Object.assign(fb, { quality: fallbackQuality(lastError, fb.items.slice()) });
+}
+
+// ====== quiz（format: quiz） ======
+const QUIZ_MIN_OPTIONS = 2;
+const QUIZ_MAX_OPTIONS = 4;
+const QUIZ_LABELS = "ABCD";
+
+// answer は 0 始まりの番号 / "B" / 正解の文字列のどれでも受けて番号に
+function quizAnswerIndex(answer, options){
+  if (Number.isInteger(answer)) return answer;
+  const s = clean(answer);
+  if (/^\d+$/.test(s)) return parseInt(s, 10);
+  if (/^[A-D]$/i.test(s)) return QUIZ_LABELS.indexOf(s.toUpperCase());
+  return options.findIndex(o => o.toLowerCase() === s.toLowerCase());
+}
+
+// 空/重複（大小無視）の選択肢を落とし、多すぎれば不正解を後ろから削る。正解は必ず残して番号を付け直す
+// 成立しない（正解が不明・選択肢 2 未満・質問なし）なら null。trace は normalizeItems と同じ形
+function normalizeQuiz(obj, profile, trace = {}){
+  Object.assign(trace, { injected: [], padded: 0, truncated: 0, rewritten: 0, dropped: 0, deduped: 0, filler: [] });
+  const raw = (Array.isArray(obj.options) ? obj.options : []).map(x => {
+    const out = wordTrim(x, WORDS_MAX);
+    if (out !== clean(x)) trace.truncated++;
+    return out;
+  });
+  const correct = raw[quizAnswerIndex(obj.answer, raw)];
+  const question = clean(obj.question);
+  if (!correct || !question) return null;
+
+  const seen = new Set();
+  let options = raw.filter(x => {
+    const key = x.toLowerCase();
+    if (!x) return false;
+    if (seen.has(key)) { trace.deduped++; return false; }
+    seen.add(key);
+    return true;
+  });
+  while (options.length > QUIZ_MAX_OPTIONS){
+    const drop = options.map((x, i) => i).reverse().find(i => options[i] !== correct);
+    options.splice(drop, 1);
+    trace.dropped++;
+  }
+  if (options.length < QUIZ_MIN_OPTIONS) return null;
+
+  return {
+    type: "quiz",
+    title: clean(obj.title) || (question.length > 60 ? question.slice(0,57) + "..." : question),
+    question,
+    options,
+    answer: options.indexOf(correct),
+    explanation: clean(obj.explanation),
+    cta: clean(obj.cta) || profile.defaults.cta,
+    tags: (Array.isArray(obj.tags) && obj.tags.length
+            ? obj.tags.map(x=>clean(x)).slice(0,4)
+            : profile.defaults.tags.slice())
+  };
+}
+
+function validEnglishQuiz(obj){
+  if (!obj || typeof obj !== "object") return false;
+  const texts = [obj.title, obj.question, obj.explanation, ...(Array.isArray(obj.options) ? obj.options : [])];
+  return !texts.some(hasCJK);
+}
+
+function fallbackQuizFrom(seed, profile){
+  const base = clean(seed) || profile.fallback.title;
+  const title = base.length > 60 ? base.slice(0,57) + "..." : base;
+  const q = normalizeQuiz(Object.assign({}, profile.fallback, { title, cta: "", tags: [] }), profile);
+  if (!q) throw new Error(`profile "${profile.name}": fallback needs question, 2-4 options and a valid answer`);
+  return q;
+}
+
+// quiz の score: 切り詰めた選択肢 0.5、解説なし 0.5 を選択肢の本数あたりで減点
+async function generateQuiz(llm, seed, profile){
+  let lastError = null;
+  for (let attempt=0; attempt<2; attempt++){
+    try{
+      const json = await askLLM_JSON(llm, seed, profile);
+      let obj;
+      try { obj = JSON.parse(json); } catch { obj = {}; }
+      const trace = {};
+      const out = validEnglishQuiz(obj) ? normalizeQuiz(obj, profile, trace) : null;
+      if (!out) throw new Error("validation failed");
+      out.quality = qualityOf(trace, out.options.length,
+        out.explanation ? {} : { penalty: 0.5, fields: { no_explanation: true } });
+      return out;
+    }catch(e){
+      lastError = e?.message || e;
+      // retry
+    }
+  }
+  const fb = fallbackQuizFrom(seed, profile);
+  return Object.assign(fb, { quality: fallbackQuality(lastError, [fb.question, ...fb.options]) });
+}
+
+// ====== 系譜（id + source） ======
+// id は内容ではなく入力（日付/seed/カテゴリ/プロファイル）から作る → LLM の出力が変わっても同じエントリは同じ id
+function entryId(seed, date){
+  const h = crypto.createHash("sha256").update(JSON.stringify([date, seed.cat, seed.text, seed.profile])).digest("hex");
+  return `${date.replace(/-/g,"")}-${h.slice(0,8)}`;
+}
+
+// id を先頭、source を末尾に置く（YAML で見やすく）。同じ id が既にあれば -2, -3… を付ける
+function withLineage(e, s, profile, llm, taken){
+  const base = entryId({ cat: s.cat, text: s.text, profile: profile.name }, TODAY);
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  taken.add(id);
+  const source = { seed: s.text, cat: s.cat, profile: profile.name, model: `${llm.provider}/${llm.model}`, date: TODAY };
+  return Object.assign({ id }, e, { source });
+}
+
+// ランの品質レポート: 集計 + 定型文（差し込み/埋め草/フォールバック）の使用回数 + エントリごとの内訳
+function qualityReport(rows, llm){
+  const q = rows.map(r => r.quality);
+  const sum = (f) => q.reduce((a, x) => a + f(x), 0);
+  const filler = {};
+  for (const x of q) for (const line of x.filler || []) filler[line] = (filler[line] || 0) + 1;
+  return {
+    date: TODAY,
+    generated_at: new Date().toISOString(),
+    llm: `${llm.provider}/${llm.model}`,
+    min_quality: MIN_QUALITY,
+    summary: {
+      generated: rows.length,
+      kept: rows.filter(r => r.status === "ok").length,
+      held: rows.filter(r => r.status === "held").length,
+      dups: rows.filter(r => r.status === "dup").length,
+      fallback: q.filter(x => x.fallback).length,
+      mean_score: rows.length ? Math.round(sum(x => x.score) / rows.length * 100) / 100 : null,
+      injected: sum(x => (x.injected || []).length),
+      padded: sum(x => x.padded || 0),
+      truncated: sum(x => x.truncated || 0),
+      rewritten: sum(x => x.rewritten || 0),
+    },
+    filler: Object.entries(filler).sort((a, b) => b[1] - a[1]).map(([line, count]) => ({ line, count })),
+    entries: rows,
+  };
 }
 
 // ====== main ======
 async function main(){
-  if (!process.env.OPENAI_API_KEY) throw new Error("OPENAI_API_KEY missing");
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const llm = createLLM();
 
   const catsWeights = parseCats(CATS_ARG);
   const poolAll = await loadPoolFiltered(catsWeights);
   if (!poolAll.length) throw new Error("no seeds found under data/seeds");
 
-  let used = await loadUsed();
-  let remaining = buildRemaining(poolAll, used);
-  if (remaining.length < COUNT){ used = []; remaining = poolAll.slice(); }
+  // 未使用 + （足りないカテゴリだけ）クールダウン明けの seed を古い順に
+  const used = await loadUsed();
+  const { eligible, report } = planEligible(poolAll, used, COUNT, catsWeights, { cooldownDays: COOLDOWN });
+  for (const r of report){
+    if (r.recycled) console.log(`[seeds] ${r.cat}: recycling ${r.recycled} seed(s) used over ${COOLDOWN} days ago (oldest first)`);
+    const short = r.demand != null && r.unused + r.recycled < r.demand;
+    if (short || (r.unused + r.recycled === 0 && r.cooling)){
+      console.warn(`[seeds] category "${r.cat}" exhausted: ${r.unused} unused, ${r.recycled} recyclable, ${r.cooling} in cooldown` +
+        (r.next_at ? ` (next back ${r.next_at.slice(0,10)})` : "") +
+        (r.demand != null ? `; wanted ${r.demand}` + (report.length > 1 ? ", filling from other requested categories" : "") : ""));
+    }
+  }
+  if (!eligible.length){
+    throw new Error(`no seeds available: all ${poolAll.length} seed(s) used within the last ${COOLDOWN} days (import more: node scripts/seeds.js import ...)`);
+  }
+
+  const picks = sampleWithCategoryWeights(eligible, Math.min(eligible.length, COUNT + DUP_SPARE), catsWeights || null);
+
+  // 既出タイトル（英語）+ 同一ラン内で近似重複を判定
+  const priors = await postedTitles("en");
+  const dupOpts = { suffix: readTitleSuffix("en"), threshold: thresholdFor("en") };
 
-  const picks = sampleWithCategoryWeights(remaining, COUNT, catsWeights || null);
+  // seed ごとのプロファイル（明示指定 > カテゴリの対応 > 既定）
+  const catMap = loadCategoryMap();
+  const profileUse = {};
 
   const entries = [];
+  const dups = [];
+  const held = [];
+  const rows = []; // 品質レポート
+  const consumed = [];
+  const released = []; // LLM が答えずフォールバックになり、採用もされなかった seed（使用済みにしない）
+  const ids = new Set();
+  const settle = (s, e, status) => {
+    if (status !== "ok" && e.quality.fallback) released.push(s);
+    else consumed.push(s);
+  };
   for (const s of picks){
-    const e = await generateOne(client, s.text, PROFILE);
+    if (entries.length >= COUNT) break;
+    const profile = loadProfile(profileNameFor(s.cat, PROFILE, catMap));
+    profileUse[profile.name] = (profileUse[profile.name] || 0) + 1;
+    const e = withLineage(await generateOne(llm, s.text, profile), s, profile, llm, ids);
+    const row = { id: e.id, title: e.title, seed: s.text, cat: s.cat, profile: profile.name, status: "ok", quality: e.quality };
+    rows.push(row);
+    const hit = findSimilar(e.title, priors, dupOpts);
+    if (hit){
+      console.warn(`[dup] "${e.title}" ≈ "${hit.title}" (${hit.score}) seed=${s.cat}::${s.text}`);
+      dups.push(Object.assign({}, e, { dup_of: { title: hit.title, similarity: hit.score, video_id: hit.video_id || null, source: hit.source } }));
+      row.status = "dup";
+      settle(s, e, row.status);
+      continue;
+    }
+    if (e.quality.score < MIN_QUALITY){
+      const why = e.quality.fallback ? `fallback (${e.quality.error})`
+        : `injected=${e.quality.injected.length} padded=${e.quality.padded} truncated=${e.quality.truncated}`;
+      console.warn(`[held] "${e.title}" quality ${e.quality.score} < ${MIN_QUALITY}: ${why}`);
+      held.push(e);
+      row.status = "held";
+      settle(s, e, row.status);
+      continue;
+    }
+    settle(s, e, row.status);
     entries.push(e);
+    priors.push({ title: e.title, video_id: null, source: "run" });
   }
+  if (entries.length < COUNT) console.warn(`[warn] only ${entries.length}/${COUNT} non-duplicate entries above quality ${MIN_QUALITY}`);
 
   await fsp.mkdir(path.join("data","en"), { recursive:true });
   await fsp.writeFile(outPathEN(TODAY), yaml.dump({ entries }, { lineWidth: 1000 }), "utf8");
-  console.log(`[ok] wrote ${outPathEN(TODAY)} (${entries.length} entries) [profile=${PROFILE}]`);
-
-  const newUsed = unique([...used.map(u=>`${u.cat}::${u.text}`), ...picks.map(u=>`${u.cat}::${u.text}`)])
-    .map(key => { const [cat,text] = key.split("::"); return { cat, text }; });
+  console.log(`[ok] wrote ${outPathEN(TODAY)} (${entries.length} entries) [profile=${Object.entries(profileUse).map(([k,v])=>`${k}:${v}`).join(",")} llm=${llm.provider}/${llm.model}]`);
+  if (dups.length){
+    await fsp.mkdir(path.dirname(dupsPathEN(TODAY)), { recursive:true });
+    await fsp.writeFile(dupsPathEN(TODAY), yaml.dump({ entries: dups }, { lineWidth: 1000 }), "utf8");
+    console.log(`[dups] wrote ${dupsPathEN(TODAY)} (${dups.length} entries)`);
+  }
+  if (held.length){
+    await fsp.mkdir(path.dirname(heldPathEN(TODAY)), { recursive:true });
+    await fsp.writeFile(heldPathEN(TODAY), yaml.dump({ entries: held }, { lineWidth: 1000 }), "utf8");
+    console.log(`[held] wrote ${heldPathEN(TODAY)} (${held.length} entries below quality ${MIN_QUALITY})`);
+  }
+  const qr = qualityReport(rows, llm);
+  await fsp.mkdir(path.dirname(qualityReportPath(TODAY)), { recursive:true });
+  await fsp.writeFile(qualityReportPath(TODAY), JSON.stringify(qr, null, 2), "utf8");
+  console.log(`[quality] mean=${qr.summary.mean_score} kept=${qr.summary.kept} held=${qr.summary.held} fallback=${qr.summary.fallback}` +
+    ` injected=${qr.summary.injected} padded=${qr.summary.padded} truncated=${qr.summary.truncated} -> ${qualityReportPath(TODAY)}`);
+
+  // 重複/保留で落ちた seed も使用済みにする（同じ seed から同じタイトルを作り直さない）
+  // ただしフォールバック（LLM 障害・検証落ち）で落ちた seed は戻す → 障害 1 回で seed をクールダウンに送らない
+  const legacy = used.filter(u => !u.at).length;
+  const newUsed = markUsed(used, consumed);
   await saveUsed(newUsed);
-  console.log(`[state] used ${newUsed.length}/${poolAll.length} seeds tracked`);
+  if (legacy) console.log(`[seeds] ${legacy} used seed(s) without a timestamp stamped now (cooldown starts today)`);
+  console.log(`[state] used ${newUsed.length}/${poolAll.length} seeds tracked` +
+    (released.length ? ` (${released.length} seed(s) left unused after LLM fallback)` : ""));
+  for (const c of categoryStats(poolAll, newUsed).filter(c => c.low)){
+    console.warn(`[seeds] category "${c.cat}" running low: ${c.remaining}/${c.total} remaining (node scripts/seeds.js import --cat=${c.cat} ...)`);
+  }
+
+  // 全部フォールバック = LLM が使えていない。警告ではなく失敗で終わる（後続の翻訳/レンダリングを止める）
+  // mock は fixture が無ければ全部フォールバックになるのが普通なので警告だけ
+  if (rows.length && rows.every(r => r.quality.fallback)){
+    const errs = [...new Set(rows.map(r => r.quality.error))].join("; ");
+    if (llm.provider === "mock"){
+      console.warn(`[warn] all ${rows.length} entries fell back (mock, no fixtures?): ${errs}`);
+    } else {
+      console.error(`[error] all ${rows.length} entries fell back (LLM ${llm.provider}/${llm.model}): ${errs}`);
+      process.exitCode = 1;
+    }
+  }
 }
 
 main().catch(e=>{ console.error(e); process.exit(1); });
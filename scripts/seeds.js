@@ -0,0 +1,171 @@
+// scripts/seeds.js
+// seed プール管理 CLI（data/seeds/<category>/*.txt + data/_state/used_seeds.json）
+// usage:
+//   取り込み : node scripts/seeds.js import --cat=ritual --file=ideas.csv [--column=title] [--no-header] [--dry-run]
+//              CSV（--column: 列名 or 0 始まりの番号。省略時は seed/title/text 列 → 無ければ 1 列目）
+//              1 行目は見出しとして読み飛ばす。見出しの無い CSV は --no-header（列は番号で指定）
+//              Markdown（箇条書き・番号付きリスト・表の 1 列目）/ それ以外はプレーンテキスト（1 行 1 seed）
+//              表記ゆれ（全半角/大小/記号/空白）を無視して全カテゴリ横断で重複を除き、
+//              data/seeds/<cat>/<YYYYMMDD>.txt に追記
+//   一覧     : node scripts/seeds.js list [--cat=ritual] [--used]   （既定は未使用の seed）
+//   集計     : node scripts/seeds.js stats [--warn=10] [--cooldown-days=30]
+//              （残りが --warn 以下のカテゴリを警告。recyc = クールダウン明けで再利用できる数）
+//
+// env: SEEDS_WARN_MIN（--warn の既定）/ SEED_COOLDOWN_DAYS（--cooldown-days の既定。scripts/lib/seeds.js）
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const {
+  POOL_ROOT, WARN_MIN, COOLDOWN_DAYS, normalizeSeed, listCategories, loadPoolByCategory, loadPoolFiltered,
+  loadUsed, buildRemaining, categoryStats,
+} = require("./lib/seeds");
+
+const arg = (k) => (process.argv.find(a => a.startsWith(`--${k}=`)) || "").split("=").slice(1).join("=");
+const flag = (k) => process.argv.includes(`--${k}`);
+
+// ===== parsers =====
+// RFC4180 程度（"" エスケープ、引用内の改行/カンマ）
+function parseCSV(txt){
+  const rows = []; let row = []; let cell = ""; let q = false;
+  for (let i = 0; i < txt.length; i++){
+    const ch = txt[i];
+    if (q){
+      if (ch === '"' && txt[i+1] === '"'){ cell += '"'; i++; }
+      else if (ch === '"') q = false;
+      else cell += ch;
+    } else if (ch === '"') q = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r"){
+      if (ch === "\r" && txt[i+1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length){ row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// 1 行目は見出し（列番号で指定しても読み飛ばす）。noHeader なら 1 行目からデータ
+function seedsFromCSV(txt, column, noHeader = false){
+  const rows = parseCSV(txt.replace(/^\uFEFF/, ""));
+  if (!rows.length) return [];
+  const numeric = column !== "" && /^\d+$/.test(column);
+  if (noHeader && column && !numeric) throw new Error(`--column=${column}: use a column number with --no-header`);
+  const header = noHeader ? [] : rows[0].map(h => h.trim().toLowerCase());
+  let idx = -1;
+  if (numeric) idx = parseInt(column, 10);
+  else if (column) idx = header.indexOf(column.toLowerCase());
+  else idx = ["seed","title","text"].map(k => header.indexOf(k)).find(i => i >= 0) ?? -1;
+  if (column && idx < 0) throw new Error(`column "${column}" not found in CSV header: ${rows[0].join(",")}`);
+  if (idx < 0) idx = 0;
+  return rows.slice(noHeader ? 0 : 1).map(r => r[idx] || "");
+}
+
+function seedsFromMarkdown(txt){
+  const out = [];
+  let inTable = false;
+  for (const raw of txt.split(/\r?\n/)){
+    const line = raw.trim();
+    if (line.startsWith("|")){
+      const cells = line.replace(/^\||\|$/g, "").split("|").map(c => c.trim());
+      if (cells.every(c => /^:?-{2,}:?$/.test(c))) continue; // 区切り行
+      if (!inTable){ inTable = true; continue; }             // 見出し行
+      out.push(cells[0]);
+      continue;
+    }
+    inTable = false;
+    const m = line.match(/^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+    if (m) out.push(m[1].replace(/\*\*|__|`/g, ""));
+  }
+  return out;
+}
+
+function seedsFromPlain(txt){
+  return txt.split(/\r?\n/).filter(s => !s.trim().startsWith("#"));
+}
+
+function parseSeedsFile(file, txt, format, column, noHeader){
+  const fmt = format || ({ ".csv": "csv", ".md": "md", ".markdown": "md" }[path.extname(file).toLowerCase()] || "txt");
+  const list = fmt === "csv" ? seedsFromCSV(txt, column, noHeader) : fmt === "md" ? seedsFromMarkdown(txt) : seedsFromPlain(txt);
+  return list.map(s => String(s).replace(/\s+/g, " ").trim()).filter(Boolean);
+}
+
+// ===== commands =====
+async function cmdImport(){
+  const cat = arg("cat");
+  const file = arg("file") || process.argv.slice(3).find(a => !a.startsWith("--"));
+  if (!cat || !file) throw new Error("usage: node scripts/seeds.js import --cat=<category> --file=<path> [--column=] [--no-header] [--format=csv|md|txt] [--dry-run]");
+  if (!/^[\w-]+$/.test(cat)) throw new Error(`invalid category name: ${cat}`);
+
+  const incoming = parseSeedsFile(file, await fsp.readFile(file, "utf8"), arg("format"), arg("column"), flag("no-header"));
+
+  // 既存（全カテゴリ）の正規化キー → カテゴリ
+  const existing = new Map();
+  for (const s of await loadPoolFiltered(null)) existing.set(normalizeSeed(s.text), s.cat);
+
+  const added = []; const dups = [];
+  for (const text of incoming){
+    const key = normalizeSeed(text);
+    if (!key) continue;
+    if (existing.has(key)){ dups.push({ text, cat: existing.get(key) }); continue; }
+    existing.set(key, cat);
+    added.push(text);
+  }
+
+  for (const d of dups) console.log(`[dup] ${d.text}  (already in ${d.cat})`);
+  const stamp = new Date().toISOString().slice(0,10).replace(/-/g, "");
+  const out = path.join(POOL_ROOT, cat, `${stamp}.txt`);
+  if (!flag("dry-run") && added.length){
+    await fsp.mkdir(path.dirname(out), { recursive:true });
+    const prev = fs.existsSync(out) ? await fsp.readFile(out, "utf8") : "";
+    const sep = prev && !prev.endsWith("\n") ? "\n" : "";
+    await fsp.appendFile(out, sep + added.join("\n") + "\n", "utf8");
+  }
+  console.log(`[import] ${cat}: read=${incoming.length} added=${added.length} dups=${dups.length}` +
+    (flag("dry-run") ? " (dry-run)" : added.length ? ` -> ${out}` : ""));
+}
+
+async function cmdList(){
+  const cat = arg("cat");
+  const cats = cat ? [cat] : await listCategories();
+  const used = await loadUsed();
+  const showUsed = flag("used");
+  for (const c of cats){
+    const pool = await loadPoolByCategory(c);
+    const remaining = buildRemaining(pool, used);
+    const rset = new Set(remaining.map(s => s.text));
+    const list = showUsed ? pool.filter(s => !rset.has(s.text)) : remaining;
+    console.log(`# ${c} (${showUsed ? "used" : "remaining"} ${list.length}/${pool.length})`);
+    for (const s of list) console.log(`  ${s.text}`);
+  }
+}
+
+async function cmdStats(){
+  const warnMin = arg("warn") ? parseInt(arg("warn"), 10) : WARN_MIN;
+  const pool = await loadPoolFiltered(null);
+  const used = await loadUsed();
+  const cooldownDays = arg("cooldown-days") ? parseFloat(arg("cooldown-days")) : COOLDOWN_DAYS;
+  const rows = categoryStats(pool, used, warnMin, cooldownDays);
+  const cols = (a) => a.map(x => String(x).padStart(6)).join(" ");
+  console.log(`${"category".padEnd(16)} ${cols(["total", "used", "left", "recyc"])}   (recyc = used > ${cooldownDays} days ago)`);
+  for (const r of rows){
+    const mark = r.remaining === 0 ? (r.recyclable ? "  EXHAUSTED (recycling)" : "  EXHAUSTED") : r.low ? "  LOW" : "";
+    console.log(`${r.cat.padEnd(16)} ${cols([r.total, r.used, r.remaining, r.recyclable])}${mark}`);
+  }
+  const sum = (k) => rows.reduce((a, r) => a + r[k], 0);
+  console.log(`${"total".padEnd(16)} ${cols([sum("total"), sum("used"), sum("remaining"), sum("recyclable")])}`);
+  for (const r of rows.filter(r => r.low)){
+    console.warn(`[warn] "${r.cat}" has ${r.remaining} seed(s) left (<= ${warnMin}); import more with: node scripts/seeds.js import --cat=${r.cat} --file=...`);
+  }
+}
+
+async function main(){
+  const cmd = process.argv[2];
+  if (cmd === "import") return cmdImport();
+  if (cmd === "list") return cmdList();
+  if (cmd === "stats") return cmdStats();
+  console.error("usage: node scripts/seeds.js <import|list|stats> [options]  (see header of scripts/seeds.js)");
+  process.exitCode = 1;
+}
+
+main().catch(e=>{ console.error(e?.message || e); process.exit(1); });
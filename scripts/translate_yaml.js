@@ -1,14 +1,19 @@
 // scripts/translate_yaml.js
 // EN -> target languages. Robust JSON round-trip, optional lang guard via data/lang_rules.yaml
+// 訳文は lang_rules.yaml の limits でチェックし、違反箇所だけ 1 回再依頼（それでも違反なら落とす）
 // usage:
 //   node scripts/translate_yaml.js --date=YYYY-MM-DD --langs=ja,es
-// env: OPENAI_API_KEY (required), OPENAI_MODEL (optional; default gpt-4o-mini)
+//   node scripts/translate_yaml.js --date=YYYY-MM-DD --langs=ja --force   （キャッシュを使わず全部訳し直す）
+// env: LLM_PROVIDER (openai|compat|mock; default openai) — 詳細は scripts/lib/llm.js
+//      OPENAI_API_KEY (openai で必須), OPENAI_MODEL (optional; default gpt-4o-mini)
 
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
 const yaml = require("js-yaml");
-const { OpenAI } = require("openai");
+const { createLLM } = require("./lib/llm");
+const { limitsFor, checkLimits, describeViolation } = require("./lib/lang_guard");
+const { cacheKey, readCache, writeCache } = require("./lib/translate_cache");
 
 // -------- args / defaults
 const ARGS = Object.fromEntries(process.argv.slice(2).map(s => {
@@ -17,11 +22,9 @@ const ARGS = Object.fromEntries(process.argv.slice(2).map(s => {
 
 const DATE = ARGS.date || new Date().toISOString().slice(0,10);
 const LANGS = (ARGS.langs ? String(ARGS.langs) : "ja").split(",").map(s=>s.trim()).filter(Boolean);
-const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-
-if (!process.env.OPENAI_API_KEY) {
-  console.error("OPENAI_API_KEY missing"); process.exit(1);
-}
+const FORCE = !!ARGS.force;
+// 翻訳/再依頼プロンプトの版（キャッシュキーに入る。プロンプトを変えたら上げる）
+const PROMPT_VERSION = 1;
 
 // -------- paths
 const inPathEN  = (d)=> path.join("data","en",`${d}.yaml`);
@@ -84,55 +87,192 @@ function validateByRules(rules, lang, title, items){
 
 function clamp(n, lo, hi){ return Math.max(lo, Math.min(hi, n)); }
 
+const SYS = `You are a precise translator. Return STRICT JSON only (no markdown).`;
+
+// プロンプトに載せる上限（lang_rules.yaml の limits）
+function itemLimitText(limits){
+  const parts = [];
+  if (limits.max_item_words != null) parts.push(`≤ ${limits.max_item_words} words`);
+  if (limits.max_item_chars != null) parts.push(`≤ ${limits.max_item_chars} characters`);
+  return parts.join(" and ") || "short";
+}
+function limitLines(limits){
+  const lines = [];
+  if (limits.max_title_chars != null) lines.push(`Title ≤ ${limits.max_title_chars} characters.`);
+  if (limits.max_cta_chars != null) lines.push(`CTA ≤ ${limits.max_cta_chars} characters.`);
+  if (limits.keep_digits) lines.push(`Keep every number as digits (do not spell numbers out).`);
+  return lines.join("\n");
+}
+
+// "items[2]" 等のパスで取り出し/書き換え
+function getField(obj, field){
+  const m = field.match(/^(\w+)(?:\[(\d+)\])?$/);
+  const v = obj[m[1]];
+  return m[2] == null ? v : (Array.isArray(v) ? v[+m[2]] : undefined);
+}
+function setField(obj, field, value){
+  const m = field.match(/^(\w+)(?:\[(\d+)\])?$/);
+  if (m[2] == null) obj[m[1]] = value;
+  else obj[m[1]][+m[2]] = value;
+}
+
+// limits 違反: 違反した項目だけ直すよう 1 回だけ再依頼し、その項目だけ差し替える
+async function enforceLimits(llm, out, src, target, limits){
+  let violations = checkLimits(limits, out, src);
+  if (!violations.length) return out;
+  const fields = [...new Set(violations.map(x => x.field))];
+  console.warn(`[limits] ${target} "${out.title}": ${violations.length} violation(s); re-asking for ${fields.join(", ")}`);
+
+  const user = `
+Your ${langDisplayName(target)} translation breaks these limits:
+${violations.map(x => `- ${describeViolation(x)}`).join("\n")}
+
+Rewrite ONLY those fields (${fields.join(", ")}) so they fit. Keep the meaning and the language.
+Leave every other field exactly as it is and keep list lengths and order unchanged.
+Return the full STRICT JSON with the same keys.
+
+SOURCE (English, JSON):
+${JSON.stringify(src, null, 2)}
+
+CURRENT TRANSLATION (JSON):
+${JSON.stringify(out, null, 2)}
+`.trim();
+
+  let obj = {};
+  try { obj = JSON.parse(await llm.chatJSON({ system: SYS, user, temperature: 0.2, mockReply: () => out })); }
+  catch (e) { console.warn(`[limits] re-ask failed: ${e.message}`); }
+
+  const fixed = JSON.parse(JSON.stringify(out));
+  for (const f of fields){
+    const v = getField(obj, f);
+    if (typeof v === "string" && v.trim()) setField(fixed, f, v.trim());
+  }
+  violations = checkLimits(limits, fixed, src);
+  if (violations.length){
+    const msg = violations.map(describeViolation).join("; ");
+    // mock の恒等翻訳は CJK 等の上限に掛かるので警告のみ
+    if (llm.provider !== "mock") throw new Error(`limits still violated for ${target} after re-ask: ${msg}`);
+    console.warn(`[mock] limits skipped for ${target}: ${msg}`);
+  }
+  return fixed;
+}
+
 // -------- translator
-async function translateEntry(client, entry, target, rules){
+async function translateEntry(llm, entry, target, rules){
+  if (entry.type === "quiz") return translateQuiz(llm, entry, target, rules);
   const itemsSrc = Array.isArray(entry.items) ? entry.items.filter(Boolean) : [];
   // “可変長”に備える：元が空なら8、あればその本数（3〜10にクランプ）
   const wanted = clamp(itemsSrc.length || 8, 3, 10);
 
-  const sys = `You are a precise translator. Return STRICT JSON only (no markdown).`;
+  const limits = limitsFor(rules, target);
+  const src = {
+    title: entry.title || "",
+    items: itemsSrc.slice(0, wanted),
+    cta: entry.cta || "Save and try one today",
+    tags: Array.isArray(entry.tags) ? entry.tags.slice(0,4) : []
+  };
   const user = `
 Translate the content from English into ${langDisplayName(target)}.
 Keep EXACTLY ${wanted} bullet points (no more, no less).
-Bullets must be concrete, actionable, and ≤ 12 words.
+Bullets must be concrete, actionable, and ${itemLimitText(limits)}.
+${limitLines(limits)}
 Return STRICT JSON with keys: title, items, cta, tags (2-4).
 
 SOURCE(JSON):
-${JSON.stringify({
-  title: entry.title || "",
-  items: itemsSrc.slice(0, wanted),
-  cta: entry.cta || "Save and try one today",
-  tags: Array.isArray(entry.tags) ? entry.tags.slice(0,4) : []
-}, null, 2)}
+${JSON.stringify(src, null, 2)}
 `.trim();
 
-  const r = await client.chat.completions.create({
-    model: MODEL,
-    temperature: 0.2,
-    messages: [{ role:"system", content: sys }, { role:"user", content: user }],
-    response_format: { type: "json_object" }
-  });
+  // mock で fixture が無いときは原文をそのまま返す（恒等翻訳）
+  const content = await llm.chatJSON({ system: SYS, user, temperature: 0.2, mockReply: () => src });
 
   let obj;
-  try { obj = JSON.parse(r.choices[0].message.content); }
+  try { obj = JSON.parse(content); }
   catch { throw new Error("JSON parse failed from model"); }
 
   // normalize
-  const out = {
+  let out = {
     title: String(obj.title || "").trim(),
     items: Array.isArray(obj.items) ? obj.items.map(s=>String(s||"").trim()).filter(Boolean).slice(0, wanted) : [],
     cta: String(obj.cta || "").trim() || "Save and try one today",
     tags: Array.isArray(obj.tags) ? obj.tags.map(s=>String(s||"").trim()).filter(Boolean).slice(0,4) : []
   };
+  out = await enforceLimits(llm, out, src, target, limits);
 
   // language guard（外部設定があれば従う。無ければ ja のみCJKチェック相当）
   if (!validateByRules(rules, target, out.title, out.items)) {
-    throw new Error(`lang guard failed for ${target}`);
+    // mock の恒等翻訳は文字種チェックを通らないので警告のみ
+    if (llm.provider !== "mock") throw new Error(`lang guard failed for ${target}`);
+    console.warn(`[mock] lang guard skipped for ${target}`);
   }
 
   return out;
 }
 
+// quiz: 選択肢の順番を変えると answer（番号）がずれるので、本数が合わなければ失敗扱い
+async function translateQuiz(llm, entry, target, rules){
+  const options = Array.isArray(entry.options) ? entry.options.map(s=>String(s||"").trim()) : [];
+  const limits = limitsFor(rules, target);
+  const src = {
+    title: entry.title || "",
+    question: entry.question || "",
+    options,
+    explanation: entry.explanation || "",
+    cta: entry.cta || "Comment your answer",
+    tags: Array.isArray(entry.tags) ? entry.tags.slice(0,4) : []
+  };
+  const user = `
+Translate this quiz from English into ${langDisplayName(target)}.
+Keep EXACTLY ${options.length} options in the SAME ORDER (do not reorder, merge or add options).
+Each option ${itemLimitText(limits)}.
+${limitLines(limits)}
+Do not reveal the answer in the title or question.
+Return STRICT JSON with keys: title, question, options, explanation, cta, tags (2-4).
+
+SOURCE(JSON):
+${JSON.stringify(src, null, 2)}
+`.trim();
+
+  const content = await llm.chatJSON({ system: SYS, user, temperature: 0.2, mockReply: () => src });
+
+  let obj;
+  try { obj = JSON.parse(content); }
+  catch { throw new Error("JSON parse failed from model"); }
+
+  const outOptions = Array.isArray(obj.options) ? obj.options.map(s=>String(s||"").trim()) : [];
+  if (outOptions.length !== options.length || outOptions.some(s => !s)) {
+    throw new Error(`quiz options mismatch (${outOptions.length}/${options.length})`);
+  }
+  let out = {
+    type: "quiz",
+    title: String(obj.title || "").trim(),
+    question: String(obj.question || "").trim(),
+    options: outOptions,
+    answer: entry.answer,
+    explanation: String(obj.explanation || "").trim(),
+    cta: String(obj.cta || "").trim() || src.cta,
+    tags: Array.isArray(obj.tags) ? obj.tags.map(s=>String(s||"").trim()).filter(Boolean).slice(0,4) : []
+  };
+  if (!out.question) throw new Error("quiz question empty");
+  out = await enforceLimits(llm, out, src, target, limits);
+
+  // lang guard: 質問を「タイトル」、選択肢を「箇条書き」として判定
+  if (!validateByRules(rules, target, out.question, out.options)) {
+    if (llm.provider !== "mock") throw new Error(`lang guard failed for ${target}`);
+    console.warn(`[mock] lang guard skipped for ${target}`);
+  }
+
+  return out;
+}
+
+// EN の id / source（seed_to_yaml.js の系譜）をそのまま付ける。キャッシュには入れず毎回 EN から写す
+// → 失敗で落ちたエントリがあっても、言語間で同じ id が同じ EN エントリを指す
+function withLineage(out, entry){
+  const r = entry.id ? { id: entry.id } : {};
+  Object.assign(r, out);
+  if (entry.source) r.source = entry.source;
+  return r;
+}
+
 // -------- main
 (async function main(){
   const enFile = inPathEN(DATE);
@@ -146,19 +286,29 @@ ${JSON.stringify({
     console.error("EN entries empty"); process.exit(0);
   }
 
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const llm = createLLM();
   const rules = loadLangRules();
 
+  const model = `${llm.provider}/${llm.model}`;
   for (const lg of LANGS){
     const outs = [];
+    const n = { hit: 0, translated: 0, failed: 0 };
+    const limits = limitsFor(rules, lg);
     for (let i=0; i<entries.length; i++){
+      const key = cacheKey({ entry: entries[i], lang: lg, model, promptVersion: PROMPT_VERSION, limits });
+      const cached = FORCE ? null : await readCache(lg, key);
+      if (cached) { outs.push(withLineage(cached, entries[i])); n.hit++; continue; }
       try {
-        const t = await translateEntry(client, entries[i], lg, rules);
-        outs.push(t);
+        const t = await translateEntry(llm, entries[i], lg, rules);
+        outs.push(withLineage(t, entries[i]));
+        n.translated++;
+        await writeCache(lg, key, { entry: entries[i], model, promptVersion: PROMPT_VERSION, result: t });
       } catch (err) {
-        console.warn(`[warn] translate failed idx=${i+1} lang=${lg}: ${err.message}`);
+        n.failed++;
+        console.warn(`[warn] translate failed idx=${i+1}${entries[i].id ? ` id=${entries[i].id}` : ""} lang=${lg}: ${err.message}`);
       }
     }
+    console.log(`[cache] ${lg}: ${n.hit} cached, ${n.translated} translated, ${n.failed} failed${FORCE ? " (--force)" : ""}`);
     if (!outs.length) { console.warn(`[skip] no translated entries for ${lg}`); continue; }
 
     const outFile = outPath(DATE, lg);
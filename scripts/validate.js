@@ -0,0 +1,80 @@
+// scripts/validate.js
+// コンテンツ YAML と sidecar JSON のスキーマ検証（scripts/lib/schema.js）
+// usage:
+//   node scripts/validate.js --date=2026-10-19              （全言語: data/*/{date}.yaml + videos/*/{queue,failed}/{date}/*.json）
+//   node scripts/validate.js --date=2026-10-19 --langs=en,ja
+//   node scripts/validate.js --date=2026-10-19 --no-videos   （YAML だけ）
+//   node scripts/validate.js --file=data/ja/2026-10-19.yaml  （単体。.json なら sidecar として検証）
+//
+// 出力: "file:line: path: message"。エラーが 1 件でもあれば終了コード 1
+// render_video.js / youtube_upload.js は --strict（env SCHEMA_STRICT=1）で同じ検証に落ちた入力を使わない
+
+const fs = require("fs");
+const path = require("path");
+const { checkYamlFile, checkSidecarFile, formatError } = require("./lib/schema");
+
+const arg = (k) => (process.argv.find(a => a.startsWith(`--${k}=`)) || "").split("=").slice(1).join("=");
+const flag = (k) => process.argv.includes(`--${k}`);
+
+const DATE = arg("date") || new Date().toISOString().slice(0,10);
+const BUCKETS = ["queue", "failed"];
+
+function langDirs(root){
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root).filter(d => !d.startsWith("_") && fs.statSync(path.join(root, d)).isDirectory()).sort();
+}
+
+// 対象: 指定言語 or data/ と videos/ で当日分があるディレクトリ
+function targets(){
+  const only = arg("langs") ? arg("langs").split(",").map(s => s.trim()).filter(Boolean) : null;
+  const yamls = [];
+  const sidecars = [];
+  for (const lang of only || langDirs("data")){
+    const p = path.join("data", lang, `${DATE}.yaml`);
+    if (fs.existsSync(p)) yamls.push(p);
+  }
+  if (!flag("no-videos")){
+    for (const lang of only || langDirs("videos")){
+      for (const b of BUCKETS){
+        const dir = path.join("videos", lang, b, DATE);
+        if (!fs.existsSync(dir)) continue;
+        for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".mp4")).sort()){
+          sidecars.push(path.join(dir, f.replace(/\.mp4$/i, ".json")));
+        }
+      }
+    }
+  }
+  return { yamls, sidecars };
+}
+
+function main(){
+  const file = arg("file");
+  const { yamls, sidecars } = file
+    ? (file.endsWith(".json") ? { yamls: [], sidecars: [file] } : { yamls: [file], sidecars: [] })
+    : targets();
+  if (!yamls.length && !sidecars.length){
+    console.log(`[validate] nothing to check for ${DATE}`);
+    return;
+  }
+
+  let bad = 0, total = 0;
+  for (const p of yamls){
+    const { doc, errors } = checkYamlFile(p);
+    const n = Array.isArray(doc?.entries) ? doc.entries.length : 0;
+    const badEntries = new Set(errors.map(x => (x.path.match(/^entries\[(\d+)\]/) || [])[1]).filter(Boolean)).size;
+    for (const x of errors) console.error(formatError(p, x));
+    console.log(`[yaml] ${p}: ${n} entries, ${errors.length ? `${badEntries || "-"} invalid (${errors.length} error(s))` : "ok"}`);
+    bad += errors.length; total++;
+  }
+  for (const p of sidecars){
+    const errors = checkSidecarFile(p);
+    for (const x of errors) console.error(formatError(p, x));
+    bad += errors.length; total++;
+  }
+  if (sidecars.length) console.log(`[sidecar] ${sidecars.length} checked`);
+
+  console.log(`[validate] ${total} file(s), ${bad} error(s)`);
+  if (bad) process.exitCode = 1;
+}
+
+main();
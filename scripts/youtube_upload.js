@@ -3,23 +3,32 @@
 // usage:
 //   single: node scripts/youtube_upload.js --file=videos/fr/queue/2025-10-15/0001.mp4 --lang=fr
 //   batch : node scripts/youtube_upload.js --lang=fr --max=2
+//   multi : node scripts/youtube_upload.js --langs=all        （data/upload_langs.yaml の enabled 言語）
+//   判定だけ（API を呼ばない）: --dry-run
+//   失敗から一時的エラーの分を queue に戻す（API 不要）: --requeue [--lang=fr | --langs=all]
 //
 // 必要な環境変数：
 //   YT_CLIENT_ID / YT_CLIENT_SECRET / (YT_REFRESH_TOKEN_{CC} または YT_REFRESH_TOKEN)
+//   ※ --langs では取り違え防止のため YT_REFRESH_TOKEN_{CC} 必須（zh-Hant → ZH_HANT）
 //
 // 改良点：
 // - 絶対パスでも lang を安全抽出
-// - 失敗時は failed/ に退避してバッチ継続
-// - 直近50本のチャンネルタイトルと重複したら dups/ に退避し、次のストックを試行（全言語）
 // - トークンのチャンネル名をログで可視化（取り違え検出）
 // - ログ強化 / メタ安全化（clamp, タグ上限）
-// - sidecar(.json) 併走
+// - sidecar(.json) / 字幕(.srt/.vtt) / サムネ(.jpg) 併走
 // - queue → sent/failed/dups の日付ディレクトリ維持
 
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
+const yaml = require("js-yaml");
 const { google } = require("googleapis");
+const { resumableInsert, loadUploadState, saveUploadState, clearUploadState } = require("./lib/resumable_upload");
+const { appendUpload, readLedger, postedTitles, fileSha256 } = require("./lib/ledger");
+const { findSimilar, thresholdFor } = require("./lib/title_similarity");
+const { calendarFor, loadBooked, saveBooked, nextFreeSlot, bookSlot } = require("./lib/calendar");
+const { openQuota, COSTS, DEFAULT_BUDGET } = require("./lib/quota");
+const { checkSidecarFile, formatError } = require("./lib/schema");
 
 // ---------------- utils ----------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -28,15 +37,36 @@ const uniq = (arr) => Array.from(new Set(arr || []));
 
 function norm(p) { return p.split(path.sep).join("/"); }
 function detectLangFromPath(p) {
-  const m = norm(p).match(/\/?videos\/([^/]+)\/queue\//);
+  const m = norm(p).match(/\/?videos\/([^/]+)\/(?:queue|failed)\//);
   return m ? m[1] : null;
 }
 function detectDateDirFromPath(p) {
-  const m = norm(p).match(/\/queue\/(\d{4}-\d{2}-\d{2})\//);
+  const m = norm(p).match(/\/(?:queue|failed)\/(\d{4}-\d{2}-\d{2})\//);
   return m ? m[1] : null;
 }
+const RETRY_BUDGET = parseInt(
+  (process.argv.find((a) => a.startsWith("--retry-budget=")) || "").split("=")[1] ||
+  process.env.YT_UPLOAD_RETRY_BUDGET || "5",
+  10
+);
+const CHUNK_MB = parseFloat(process.env.YT_UPLOAD_CHUNK_MB || "8");
+// 一時的失敗のバックオフ（分）と requeue の上限回数
+const BACKOFF_BASE_MIN = parseFloat(process.env.YT_BACKOFF_BASE_MIN || "30");
+const REQUEUE_MAX = parseInt(process.env.YT_REQUEUE_MAX || "3", 10);
+// API の接続先（googleapis の rootUrl と resumable upload の両方に使う）。末尾は / で揃える
+const API_BASE = (() => {
+  const v = (process.argv.find((a) => a.startsWith("--api-base=")) || "").split("=")[1] || process.env.YT_API_BASE || "";
+  return v ? v.replace(/\/*$/, "/") : null;
+})();
+// メディア系（captions/thumbnails）の URL はグローバル rootUrl で書き換わらない → 呼び出しごとにも渡す
+const CALL_OPTS = API_BASE ? { rootUrl: API_BASE } : {};
+const QUOTA_BUDGET = parseInt(
+  (process.argv.find((a) => a.startsWith("--quota-budget=")) || "").split("=")[1] ||
+  process.env.YT_QUOTA_BUDGET || String(DEFAULT_BUDGET),
+  10
+);
+
 function ensureArray(x) { return Array.isArray(x) ? x : x ? [x] : []; }
-function normTitle(s){ return (s||"").toLowerCase().replace(/\s+/g," ").trim(); }
 
 // ---------------- channel meta (title/desc/tags per language) ----------------
 async function readChannelMeta(lang) {
@@ -76,35 +106,55 @@ async function readChannelMeta(lang) {
 }
 
 // ---------------- youtube auth (ID/SECRET + refresh_token_{CC}) ----------------
-function ytClientForLang(lang) {
-  const cc = (lang || "en").toUpperCase(); // en -> EN
+// strict=true（--langs）では共通の YT_REFRESH_TOKEN にフォールバックしない
+// -> { api(googleapis youtube), auth(resumable upload で直接 HTTP を叩く用), tokenName, quota }
+//    ※ googleapis のクライアントは freeze されているのでプロパティを足せない → 別オブジェクトで持つ
+function ytClientForLang(lang, { strict = false } = {}) {
+  const cc = (lang || "en").toUpperCase().replace(/[^A-Z0-9]/g, "_"); // en -> EN, zh-Hant -> ZH_HANT
+  const rootOpt = API_BASE ? { rootUrl: API_BASE } : {};
+
+  // 固定アクセストークン（モックサーバ等）: リフレッシュしない
+  if (process.env.YT_ACCESS_TOKEN) {
+    const auth = new google.auth.OAuth2();
+    auth.setCredentials({ access_token: process.env.YT_ACCESS_TOKEN });
+    return { api: google.youtube({ version: "v3", auth, ...rootOpt }), auth, tokenName: "YT_ACCESS_TOKEN", quota: null };
+  }
+
   const clientId = process.env.YT_CLIENT_ID;
   const clientSecret = process.env.YT_CLIENT_SECRET;
   const refreshToken =
-    process.env[`YT_REFRESH_TOKEN_${cc}`] || process.env.YT_REFRESH_TOKEN;
+    process.env[`YT_REFRESH_TOKEN_${cc}`] || (strict ? "" : process.env.YT_REFRESH_TOKEN);
 
   if (!clientId || !clientSecret || !refreshToken) {
     throw new Error(
-      `YouTube creds missing. Need YT_CLIENT_ID / YT_CLIENT_SECRET / YT_REFRESH_TOKEN_${cc} (or YT_REFRESH_TOKEN)`
+      `YouTube creds missing. Need YT_CLIENT_ID / YT_CLIENT_SECRET / YT_REFRESH_TOKEN_${cc}` +
+      (strict ? "" : " (or YT_REFRESH_TOKEN)")
     );
   }
 
   const auth = new google.auth.OAuth2(clientId, clientSecret);
   auth.setCredentials({ refresh_token: refreshToken });
-  const yt = google.youtube({ version: "v3", auth });
-
-  yt.channels
-    .list({ part: "snippet", mine: true })
-    .then((r) => {
-      const ch = r.data.items?.[0]?.snippet?.title || "unknown";
-      const tokenName = process.env[`YT_REFRESH_TOKEN_${cc}`]
-        ? `YT_REFRESH_TOKEN_${cc}`
-        : "YT_REFRESH_TOKEN";
-      console.log(`[yt auth] lang=${cc} channel="${ch}" token=${tokenName}`);
-    })
-    .catch(() => {});
+  return {
+    api: google.youtube({ version: "v3", auth, ...rootOpt }),
+    auth,
+    tokenName: process.env[`YT_REFRESH_TOKEN_${cc}`] ? `YT_REFRESH_TOKEN_${cc}` : "YT_REFRESH_TOKEN",
+    quota: null,
+  };
+}
 
-  return yt;
+// トークンのチャンネル（取り違え検出のログ + 台帳用）
+async function channelInfo(yt, lang) {
+  try {
+    await yt.quota.charge("channels.list");
+    const r = await yt.api.channels.list({ part: "snippet", mine: true }, CALL_OPTS);
+    const it = r.data.items?.[0];
+    const info = { id: it?.id || null, title: it?.snippet?.title || null };
+    console.log(`[yt auth] lang=${lang} channel="${info.title || "unknown"}" token=${yt.tokenName}`);
+    return info;
+  } catch (e) {
+    console.warn(`[yt auth] lang=${lang} channels.list failed:`, e?.message || e);
+    return { id: null, title: null };
+  }
 }
 
 // ---------------- sidecar meta (####.json) ----------------
@@ -143,62 +193,43 @@ async function safeMove(src, dest) {
     .catch((e) => { console.warn("[move fail]", src, "->", dest, e?.message || e); });
 }
 
-async function moveToSent(file) {
+// mp4 と一緒に動かすファイル（同じ basename）
+const SIBLING_EXTS = [".json", ".srt", ".vtt", ".jpg", ".upload.json"];
+function siblingsOf(file) {
+  return SIBLING_EXTS.map((ext) => file.replace(/\.mp4$/i, ext)).filter((p) => fs.existsSync(p));
+}
+
+// queue/{date}/####.mp4 → {bucket}/{date}/####.mp4（sidecar/字幕も一緒に）
+async function moveToBucket(file, bucket) {
   const dateDir = detectDateDirFromPath(file) || "unknown-date";
   const lang = detectLangFromPath(file);
-  if (!lang) throw new Error(`[moveToSent] cannot detect lang from ${file}`);
+  if (!lang) throw new Error(`[moveTo ${bucket}] cannot detect lang from ${file}`);
 
-  const destDir = path.join("videos", lang, "sent", dateDir);
+  const destDir = path.join("videos", lang, bucket, dateDir);
   await fsp.mkdir(destDir, { recursive: true });
 
+  const siblings = siblingsOf(file);
   await safeMove(file, path.join(destDir, path.basename(file)));
-
-  const j = file.replace(/\.mp4$/i, ".json");
-  if (fs.existsSync(j)) {
-    await safeMove(j, path.join(destDir, path.basename(j)));
+  for (const p of siblings) {
+    await safeMove(p, path.join(destDir, path.basename(p)));
   }
+  return norm(path.join(destDir, path.basename(file)));
+}
 
-  console.log("[moved to sent]", norm(path.join(destDir, path.basename(file))));
+async function moveToSent(file) {
+  console.log("[moved to sent]", await moveToBucket(file, "sent"));
 }
 
 async function moveToFailed(file) {
-  const dateDir = detectDateDirFromPath(file) || "unknown-date";
-  const lang = detectLangFromPath(file);
-  if (!lang) throw new Error(`[moveToFailed] cannot detect lang from ${file}`);
-
-  const destDir = path.join("videos", lang, "failed", dateDir);
-  await fsp.mkdir(destDir, { recursive: true });
-
-  await safeMove(file, path.join(destDir, path.basename(file)));
-
-  const j = file.replace(/\.mp4$/i, ".json");
-  if (fs.existsSync(j)) {
-    await safeMove(j, path.join(destDir, path.basename(j)));
-  }
-
-  console.warn("[moved to failed]", norm(path.join(destDir, path.basename(file))));
+  console.warn("[moved to failed]", await moveToBucket(file, "failed"));
 }
 
 async function moveToDups(file) {
-  const dateDir = detectDateDirFromPath(file) || "unknown-date";
-  const lang = detectLangFromPath(file);
-  if (!lang) throw new Error(`[moveToDups] cannot detect lang from ${file}`);
-
-  const destDir = path.join("videos", lang, "dups", dateDir);
-  await fsp.mkdir(destDir, { recursive: true });
-
-  await safeMove(file, path.join(destDir, path.basename(file)));
-
-  const j = file.replace(/\.mp4$/i, ".json");
-  if (fs.existsSync(j)) {
-    await safeMove(j, path.join(destDir, path.basename(j)));
-  }
-
-  console.warn("[moved to dups]", norm(path.join(destDir, path.basename(file))));
+  console.warn("[moved to dups]", await moveToBucket(file, "dups"));
 }
 
 // ---------------- pick batch ----------------
-async function pickBatch(lang, max = 1) {
+async function pickBatch(lang, max = 1, { log = true } = {}) {
   const dir = path.join("videos", lang, "queue");
   if (!fs.existsSync(dir)) return [];
   const dates = fs
@@ -216,21 +247,32 @@ async function pickBatch(lang, max = 1) {
     }
     if (files.length >= max) break;
   }
-  console.log("[pick]", lang, files.map(norm));
+  if (log) console.log("[pick]", lang, files.map(norm));
   return files;
 }
 
-// ---------------- title dedup (YouTube recent 50) ----------------
-async function recentTitlesSet(yt){
+// ---------------- title dedup (ledger + sent + YouTube recent 50) ----------------
+// 台帳/sent の投稿済みタイトルが基本。useApi のときだけ直近50本を search.list で足す
+// -> [{ title, video_id, source }]
+async function priorTitles(yt, channelId, lang, ledgerRows, useApi){
+  const priors = await postedTitles(lang, ledgerRows);
+  if (!useApi || !channelId) return priors;
+  if (!yt.quota.canAfford(COSTS["search.list"])) {
+    console.warn(`[dedup] skip search.list (quota remaining ${yt.quota.remaining()})`);
+    return priors;
+  }
   try {
-    const ch = await yt.channels.list({ part:"id", mine:true });
-    const channelId = ch.data.items?.[0]?.id;
-    if (!channelId) return new Set();
-    const r = await yt.search.list({
+    await yt.quota.charge("search.list");
+    const r = await yt.api.search.list({
       part: "snippet", channelId, order: "date", maxResults: 50, type: "video"
-    });
-    return new Set((r.data.items || []).map(i => normTitle(i.snippet?.title)));
-  } catch { return new Set(); }
+    }, CALL_OPTS);
+    for (const i of r.data.items || []) {
+      if (i.snippet?.title) priors.push({ title: i.snippet.title, video_id: i.id?.videoId || null, source: "api" });
+    }
+  } catch (e) {
+    console.warn("[dedup] search.list failed:", e?.message || e);
+  }
+  return priors;
 }
 
 async function predictTitle(file, lang, sidecar){
@@ -240,121 +282,619 @@ async function predictTitle(file, lang, sidecar){
   return title;
 }
 
-// ---------------- uploader (with small retry) ----------------
-async function uploadOne(yt, file, lang, sidecar = {}) {
-  console.log("[try upload]", norm(file), "lang=", lang);
+// ---------------- ledger record + sent sidecar ----------------
+async function updateSidecar(file, patch) {
+  const j = file.replace(/\.mp4$/i, ".json");
+  const cur = await readSidecar(file);
+  await fsp.writeFile(j, JSON.stringify(Object.assign(cur, patch), null, 2), "utf8");
+}
+
+async function recordUpload(file, lang, channel, up, sha256) {
+  const side = await readSidecar(file);
+  const rec = {
+    video_id: up.vid,
+    channel_id: channel.id,
+    channel_title: channel.title,
+    lang,
+    title: up.title,
+    // entry_id / lineage: seed_to_yaml.js の系譜（言語・チャンネルをまたいで同じエントリを突き合わせる）
+    entry_id: side.entry_id || null,
+    lineage: side.source || null,
+    source: { file: norm(file), date: detectDateDirFromPath(file), entry: path.basename(file, ".mp4") },
+    sha256,
+    privacy: up.publishAt ? "private" : "public",
+    publish_at: up.publishAt ? up.publishAt.toISOString() : null,
+    uploaded_at: new Date().toISOString(),
+  };
+  await appendUpload(rec);
+  // queue の sidecar に書いてから sent へ移動する
+  await updateSidecar(file, { video_id: rec.video_id, uploaded_at: rec.uploaded_at, publish_at: rec.publish_at });
+  return rec;
+}
+
+// ---------------- captions (####.srt / ####.vtt) ----------------
+function captionFileFor(file) {
+  for (const ext of [".srt", ".vtt"]) {
+    const p = file.replace(/\.mp4$/i, ext);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+// videos/{lang} のディレクトリ名 → BCP-47（captions.insert は zh_hant 等を弾く。弾かれてもクォータは消費される）
+const LANG_TAG_ALIASES = { zhhant: "zh-Hant", zhhans: "zh-Hans" };
+function bcp47(lang) {
+  const raw = String(lang || "en").trim();
+  if (LANG_TAG_ALIASES[raw.toLowerCase()]) return LANG_TAG_ALIASES[raw.toLowerCase()];
+  const [head, ...rest] = raw.split(/[-_]/).filter(Boolean);
+  const sub = rest.map((p) =>
+    /^[a-z]{4}$/i.test(p) ? p[0].toUpperCase() + p.slice(1).toLowerCase()   // script: Hant
+      : /^([a-z]{2}|\d{3})$/i.test(p) ? p.toUpperCase()                    // region: BR / 419
+      : p.toLowerCase());
+  return [String(head || "en").toLowerCase(), ...sub].join("-");
+}
+
+// 字幕トラック追加。失敗しても投稿自体は成功扱い（警告のみ）
+async function uploadCaption(yt, vid, file, lang) {
+  const cap = captionFileFor(file);
+  if (!cap) return false;
+  if (!yt.quota.canAfford(COSTS["captions.insert"])) {
+    console.warn(`[captions skip] quota remaining ${yt.quota.remaining()}`);
+    return false;
+  }
+  try {
+    await yt.quota.charge("captions.insert");
+    await yt.api.captions.insert({
+      part: "snippet",
+      requestBody: { snippet: { videoId: vid, language: bcp47(lang), name: "", isDraft: false } },
+      media: { mimeType: "application/octet-stream", body: fs.createReadStream(cap) },
+    }, CALL_OPTS);
+    console.log("[captions]", path.basename(cap), "->", vid, `lang=${bcp47(lang)}`);
+    return true;
+  } catch (e) {
+    console.warn("[captions fail]", path.basename(cap), e?.code || e?.response?.status || "", e?.message || e);
+    return false;
+  }
+}
+
+// ---------------- thumbnail (####.jpg) ----------------
+async function uploadThumbnail(yt, vid, file) {
+  const jpg = file.replace(/\.mp4$/i, ".jpg");
+  if (!fs.existsSync(jpg)) return false;
+  if (!yt.quota.canAfford(COSTS["thumbnails.set"])) {
+    console.warn(`[thumbnail skip] quota remaining ${yt.quota.remaining()}`);
+    return false;
+  }
+  try {
+    await yt.quota.charge("thumbnails.set");
+    await yt.api.thumbnails.set({
+      videoId: vid,
+      media: { mimeType: "image/jpeg", body: fs.createReadStream(jpg) },
+    }, CALL_OPTS);
+    console.log("[thumbnail]", path.basename(jpg), "->", vid);
+    return true;
+  } catch (e) {
+    console.warn("[thumbnail fail]", path.basename(jpg), e?.code || e?.response?.status || "", e?.message || e);
+    return false;
+  }
+}
+
+// ---------------- quota estimate ----------------
+// 1 本を最後まで終えるのに要るユニット（再開できるセッションがあれば insert 分は消費済み）
+async function uploadCost(file) {
+  const state = await loadUploadState(file);
+  let units = state.session_uri ? 0 : COSTS["videos.insert"];
+  if (fs.existsSync(file.replace(/\.mp4$/i, ".jpg"))) units += COSTS["thumbnails.set"];
+  if (captionFileFor(file)) units += COSTS["captions.insert"];
+  return units;
+}
+
+// ---------------- error classification ----------------
+// -> { kind: "transient" | "quota" | "auth" | "permanent", code, reason }
+//   transient: budget が残れば queue に残す（使い切ったら failed/ → --requeue でバックオフ後に戻す）
+//   quota: その日は打ち止め（再試行しない・試行回数に数えない。queue に残し、台帳を exhaust して全言語を止める）
+//   auth: その言語のバッチを止める / permanent: failed/ に置いたまま（手で直す）
+//   記録は sidecar の upload: { attempts, requeues, last_error, next_retry_at }
+const QUOTA_REASONS = new Set(["quotaExceeded", "dailyLimitExceeded"]);
+const TRANSIENT_REASONS = new Set([
+  "rateLimitExceeded", "userRateLimitExceeded", "uploadLimitExceeded", "backendError", "internalError",
+]);
+// 通信断だけ一時的扱い（ENOENT / EACCES などローカルの失敗は再試行しても直らないので permanent）
+const NETWORK_CODES = new Set([
+  "ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED", "EPIPE", "ENOTFOUND",
+]);
+const AUTH_REASONS = new Set([
+  "invalid_grant", "unauthorized_client", "invalid_client", "authError", "insufficientPermissions",
+  "youtubeSignupRequired", "forbidden",
+]);
+function errorReason(e) {
+  const data = e?.response?.data;
+  return (
+    data?.error?.errors?.[0]?.reason ||
+    e?.errors?.[0]?.reason ||
+    (typeof data?.error === "string" ? data.error : null) || // OAuth トークン更新の失敗
+    (/invalid_grant/.test(String(e?.message)) ? "invalid_grant" : null)
+  );
+}
+function classifyError(e) {
+  const status = e?.response?.status ?? e?.status ?? (/^\d+$/.test(String(e?.code)) ? Number(e.code) : null);
+  const reason = errorReason(e);
+  const code = status ?? (typeof e?.code === "string" ? e.code : null);
+  let kind = "permanent";
+  if (QUOTA_REASONS.has(reason)) kind = "quota";
+  else if (TRANSIENT_REASONS.has(reason)) kind = "transient";
+  else if (status === 401 || AUTH_REASONS.has(reason)) kind = "auth";
+  else if (status == null && NETWORK_CODES.has(code)) kind = "transient";
+  else if (status === 408 || status === 429 || (status >= 500 && status < 600)) kind = "transient";
+  return { kind, code, reason };
+}
+
+// n 回目の失敗後の待ち時間（指数、最大 24h）
+function nextRetryAt(n, now = new Date()) {
+  const min = Math.min(BACKOFF_BASE_MIN * 2 ** Math.max(0, n - 1), 24 * 60);
+  return new Date(now.getTime() + min * 60000).toISOString();
+}
+
+// ---------------- uploader (resumable + retry budget) ----------------
+// opts.publishAt(Date) があれば private + publishAt（予約公開）/ opts.sha256: 再開時に同じファイルか確かめる
+// 失敗時: state.attempts を加算して保存し、sidecar に upload 情報を記録。e.kind に分類を付ける
+//   transient で budget が残っていれば e.retryLater=true（queue に残す）
+async function uploadOne(yt, file, lang, sidecar = {}, opts = {}) {
+  console.log("[try upload]", norm(file), "lang=", lang, opts.publishAt ? `publishAt=${opts.publishAt.toISOString()}` : "");
 
   const ch = await readChannelMeta(lang);
   const baseTitle = clamp(sidecar.title || path.basename(file, ".mp4"), 100);
   const { title, description, tags } = buildSnippet(baseTitle, ch, sidecar);
 
-  const req = {
-    part: "snippet,status",
-    requestBody: {
-      snippet: { title, description, tags, categoryId: "27" }, // HowTo & Style
-      status: { privacyStatus: "public", selfDeclaredMadeForKids: false },
-    },
-    media: { body: fs.createReadStream(file) },
+  const requestBody = {
+    snippet: { title, description, tags, categoryId: "27" }, // HowTo & Style
+    status: opts.publishAt
+      ? { privacyStatus: "private", publishAt: opts.publishAt.toISOString(), selfDeclaredMadeForKids: false }
+      : { privacyStatus: "public", selfDeclaredMadeForKids: false },
   };
 
+  const budget = opts.retryBudget ?? RETRY_BUDGET;
+  const state = await loadUploadState(file);
+  if (state.attempts) console.log(`[resume] ${path.basename(file)} previous attempts=${state.attempts}/${budget}`);
+
   for (let attempt = 1; attempt <= 3; attempt++) {
     try {
-      const res = await yt.videos.insert(req);
-      const vid = res?.data?.id;
+      const data = await resumableInsert({
+        auth: yt.auth, file, part: "snippet,status", requestBody, chunkMB: CHUNK_MB, state, sha256: opts.sha256 || null,
+        // セッションを新しく開いたときだけ計上（捨てた/期限切れのセッションを開き直した分も含む）
+        onSession: () => yt.quota.charge("videos.insert"),
+        ...(API_BASE ? { rootUrl: API_BASE } : {}),
+      });
+      const vid = data?.id;
       if (!vid) throw new Error("no video id in response");
+      await clearUploadState(file);
+      if (sidecar.upload?.next_retry_at) {
+        sidecar.upload.next_retry_at = null;
+        await updateSidecar(file, { upload: sidecar.upload }).catch(() => {});
+      }
       console.log("[uploaded]", path.basename(file), vid);
-      return { vid, title }; // ← titleも返して同一ラン内の去重に使う
+      await uploadCaption(yt, vid, file, lang);
+      await uploadThumbnail(yt, vid, file);
+      // 再開したセッションは最初の実行時のメタデータで確定する → 実際の publishAt を返す
+      const publishAt = data?.status?.publishAt ? new Date(data.status.publishAt) : opts.publishAt || null;
+      return { vid, title, publishAt }; // ← titleも返して同一ラン内の去重に使う
     } catch (e) {
-      const code = e?.code || e?.response?.status;
-      const retriable = code === 429 || (code >= 500 && code < 600);
+      const { kind, code, reason } = classifyError(e);
+      const retriable = kind === "transient";
+      // クォータ切れはファイルのせいではない → 試行回数に数えない
+      const counted = kind === "quota" ? 0 : 1;
+      state.attempts = (state.attempts || 0) + counted;
+      state.last_error = { kind, code: code ?? null, reason, message: String(e?.message || e), at: new Date().toISOString() };
+      await saveUploadState(file, state).catch(() => {});
+
+      const prev = sidecar.upload || {};
+      const attempts = (prev.attempts || 0) + counted;
+      sidecar.upload = {
+        attempts,
+        requeues: prev.requeues || 0,
+        last_error: state.last_error,
+        next_retry_at: retriable ? nextRetryAt(attempts) : null,
+      };
+      await updateSidecar(file, { upload: sidecar.upload }).catch(() => {});
       console.warn(
-        `[upload fail] ${path.basename(file)} (attempt ${attempt})`,
+        `[upload fail] ${path.basename(file)} (attempt ${attempt}, total ${state.attempts}/${budget}) kind=${kind}`,
         code,
+        reason || "",
         e?.message || e
       );
-      if (retriable && attempt < 3) {
+      e.kind = kind;
+      if (retriable && attempt < 3 && state.attempts < budget) {
         await sleep(1500 * attempt);
         continue;
       }
+      if (retriable && state.attempts < budget) e.retryLater = true;
       throw e;
     }
   }
 }
 
-// ---------------- main ----------------
-async function main() {
-  const fileArg =
-    (process.argv.find((a) => a.startsWith("--file=")) || "").split("=")[1] || "";
-  const langArg =
-    (process.argv.find((a) => a.startsWith("--lang=")) || "").split("=")[1] || "en";
-  const maxArg = parseInt(
-    (process.argv.find((a) => a.startsWith("--max=")) || "").split("=")[1] || "1",
-    10
-  );
+// ---------------- multi-language config (data/upload_langs.yaml) ----------------
+function loadUploadLangs() {
+  const p = path.join("data", "upload_langs.yaml");
+  const out = { default: { enabled: true, max: null }, langs: {} };
+  if (!fs.existsSync(p)) return out;
+  try {
+    const doc = yaml.load(fs.readFileSync(p, "utf8")) || {};
+    return { default: Object.assign(out.default, doc.default || {}), langs: doc.langs || {} };
+  } catch (e) {
+    console.warn("[upload_langs parse fail]", p, e?.message || e);
+    return out;
+  }
+}
+
+// "all" → 設定の enabled 言語 / "fr,ja" → 指定言語（disabled はスキップ）。order 昇順
+function resolveLangPlan(langsArg, conf = loadUploadLangs()) {
+  const names = langsArg === "all"
+    ? Object.keys(conf.langs)
+    : langsArg.split(",").map((s) => s.trim()).filter(Boolean);
+  const plan = [];
+  for (const [i, lang] of names.entries()) {
+    const c = Object.assign({}, conf.default, conf.langs[lang] || {});
+    if (c.enabled === false) { console.log(`[skip] ${lang} disabled in upload_langs.yaml`); continue; }
+    // max 未指定（null）なら runLang がカレンダーの per_run（予約しない言語は 1）を使う
+    plan.push({ lang, max: c.max != null ? parseInt(c.max, 10) : null, order: c.order ?? 1000 + i });
+  }
+  return plan.sort((a, b) => a.order - b.order);
+}
+
+function printSummary(results) {
+  console.log("\n===== summary =====");
+  for (const r of results) {
+    const st = r.error ? `ERROR ${r.error}` : (r.note || "ok");
+    console.log(`${r.lang.padEnd(8)} uploaded=${r.uploaded} dups=${r.dups} failed=${r.failed} deferred=${r.deferred || 0}  ${st}`);
+  }
+  const sum = (k) => results.reduce((a, r) => a + (r[k] || 0), 0);
+  console.log(`total    uploaded=${sum("uploaded")} dups=${sum("dups")} failed=${sum("failed")} deferred=${sum("deferred")} langs=${results.length} errors=${results.filter((r) => r.error).length}`);
+}
+
+// ---------------- per-language run ----------------
+// opts: { file, max(null → カレンダー per_run or 1), noSchedule, strictAuth, dedupApi, quota, dryRun }
+async function runLang(lang, opts = {}) {
+  const stats = { lang, uploaded: 0, dups: 0, failed: 0, deferred: 0, note: "" };
+  const dry = !!opts.dryRun;
+  if (dry) console.log(`[dry-run] ${lang}: no API calls, no file moves`);
+
+  // 先頭の 1 本も投稿できない残量なら認証/API 呼び出し前に止める（支払い済みセッションの再開は insert 分が 0）
+  // dry-run は API を呼ばないので止めず、ファイルごとの判定で表示する
+  const quota = opts.quota || await openQuota({ budget: QUOTA_BUDGET });
+  console.log(`[quota] ${quota.describe()}`);
+  const first = opts.file || (await pickBatch(lang, 1, { log: false }))[0];
+  const firstNeed = first ? await uploadCost(first) : 0;
+  if (!dry && first && !quota.canAfford(firstNeed)) {
+    console.log(`[quota] not enough headroom for ${path.basename(first)} (${firstNeed} units); skip ${lang}`);
+    stats.note = "quota exhausted";
+    return stats;
+  }
 
-  const yt = ytClientForLang(langArg);
-  // 起動時に直近タイトル集合を取得（全言語）
-  const recent = await recentTitlesSet(yt);
+  // 予約投稿: カレンダーで enabled の言語のみ（--no-schedule で即公開）
+  const cal = calendarFor(lang);
+  const scheduled = cal.enabled && !opts.noSchedule;
+  const booked = scheduled ? await loadBooked() : null;
+  const max = opts.max ?? ((scheduled && cal.per_run) || 1);
+  if (scheduled) console.log(`[schedule] ${lang} tz=${cal.timezone} slots=${cal.slots.join(",")}`);
+
+  // 次の空き枠（予約しない場合は null）。枠切れなら false
+  const takeSlot = () => {
+    if (!scheduled) return null;
+    return nextFreeSlot(cal, booked[lang], new Date()) || false;
+  };
+  const commitSlot = async (publishAt, vid) => {
+    if (!publishAt) return;
+    bookSlot(booked, lang, publishAt, vid);
+    if (dry) return; // 同一ラン内の枠割り当てだけ再現（保存しない）
+    await saveBooked(booked);
+    console.log("[scheduled]", vid, publishAt.toISOString());
+  };
+
+  const yt = dry ? null : ytClientForLang(lang, { strict: !!opts.strictAuth });
+  if (yt) yt.quota = quota;
+  const channel = dry ? { id: null, title: null } : await channelInfo(yt, lang);
 
-  if (fileArg) {
-    const sidecar = await readSidecar(fileArg);
-    // アップ前にタイトル予測して去重
+  // 起動時に投稿済みタイトル/ファイル hash を取得（全言語）。台帳が空の言語は API で補う（dry-run は台帳/sent のみ）
+  const ledgerRows = await readLedger({ lang });
+  const priors = await priorTitles(yt, channel.id, lang, ledgerRows, !dry && (opts.dedupApi || !ledgerRows.length));
+  const hashes = new Map(ledgerRows.filter((r) => r.sha256).map((r) => [r.sha256, r.video_id]));
+  const suffix = (await readChannelMeta(lang)).title_suffix || "";
+  const threshold = thresholdFor(lang);
+
+  // 重複なら { reason, dup_of } を返す（タイトル一致/近似 or 同一ファイル）
+  const dupReason = async (file, sidecar, sha) => {
     try {
-      const preTitle = await predictTitle(fileArg, langArg, sidecar);
-      if (recent.has(normTitle(preTitle))) {
-        console.log("[skip dup-title]", preTitle);
-        await moveToDups(fileArg);
-        return;
+      const preTitle = await predictTitle(file, lang, sidecar);
+      const hit = findSimilar(preTitle, priors, { suffix, threshold });
+      if (hit) {
+        return {
+          reason: `dup-title ${preTitle} ≈ ${hit.title} (${hit.score})`,
+          dup_of: { title: hit.title, similarity: hit.score, video_id: hit.video_id },
+        };
       }
     } catch(_) {}
+    if (sha && hashes.has(sha)) {
+      return { reason: `dup-file same as ${hashes.get(sha)}`, dup_of: { sha256: sha, video_id: hashes.get(sha) } };
+    }
+    return null;
+  };
+  const skipDup = async (file, dup) => {
+    console.log("[skip]", dup.reason);
+    stats.dups++;
+    if (dry) return console.log("[dry-run] would move to dups:", norm(file));
+    await updateSidecar(file, { dup_of: dup.dup_of });
+    await moveToDups(file);
+  };
+
+  // sidecar のスキーマ検証。--strict で違反していれば permanent 扱いで failed/ へ（false を返す）
+  const schemaGate = async (file) => {
+    const errors = checkSidecarFile(file.replace(/\.mp4$/i, ".json"));
+    if (!errors.length) return true;
+    for (const x of errors) console.warn("[schema]", formatError(norm(file.replace(/\.mp4$/i, ".json")), x));
+    if (!opts.strict) return true;
+    stats.failed++;
+    if (dry) {
+      console.log("[dry-run] would move to failed (schema):", norm(file));
+      return false;
+    }
+    // パースできない sidecar は上書きしない（中身を残して手で直す）
+    if (!errors.some((x) => /missing|parse error/.test(x.message))) {
+      const message = errors.map((x) => `${x.path}: ${x.message}`).join("; ");
+      await updateSidecar(file, {
+        upload: Object.assign({}, (await readSidecar(file)).upload, {
+          last_error: { kind: "permanent", code: "schema", reason: "invalidSidecar", message, at: new Date().toISOString() },
+          next_retry_at: null,
+        }),
+      });
+    }
+    console.warn("[schema] invalid sidecar; move to failed:", norm(file));
+    await moveToFailed(file);
+    return false;
+  };
+
+  // dry-run のアップロード: 予測タイトル/予約枠/移動先を表示し、同一ラン内の去重・枠・クォータだけ進める
+  let plannedUnits = 0;
+  const dryUpload = async (file, sidecar, sha, publishAt, need) => {
+    const title = await predictTitle(file, lang, sidecar);
+    const vid = `dry-run-${path.basename(file, ".mp4")}`;
+    console.log(`[dry-run] would upload ${norm(file)} title="${title}"` + (publishAt ? ` publishAt=${publishAt.toISOString()}` : ""));
+    console.log("[dry-run] would move to sent:", norm(file));
+    priors.push({ title, video_id: vid, source: "run" });
+    if (sha) hashes.set(sha, vid);
+    await commitSlot(publishAt, vid);
+    plannedUnits += need;
+    stats.uploaded++;
+  };
+
+  if (opts.file) {
+    const file = opts.file;
+    if (!(await schemaGate(file))) return stats;
+    const sidecar = await readSidecar(file);
+    const sha = await fileSha256(file);
+    // アップ前にタイトル予測/hash で去重
+    const dup = await dupReason(file, sidecar, sha);
+    if (dup) {
+      await skipDup(file, dup);
+      return stats;
+    }
+    const need = await uploadCost(file);
+    if (!quota.canAfford(plannedUnits + need)) {
+      console.log(`[quota] need ${need} units, remaining ${quota.remaining()}; keep in queue`);
+      stats.note = "quota";
+      return stats;
+    }
+    const publishAt = takeSlot();
+    if (publishAt === false) {
+      console.log(`[schedule] no free slot within ${cal.horizon_days} days for ${lang}`);
+      stats.note = "no free slot";
+      return stats;
+    }
+    if (dry) {
+      await dryUpload(file, sidecar, sha, publishAt, need);
+      return stats;
+    }
     try {
-      const { title } = await uploadOne(yt, fileArg, langArg, sidecar);
-      recent.add(normTitle(title)); // 同一ラン内の連投重複も防ぐ
-      await moveToSent(fileArg);
+      const up = await uploadOne(yt, file, lang, sidecar, { publishAt, sha256: sha });
+      priors.push({ title: up.title, video_id: up.vid, source: "run" }); // 同一ラン内の連投重複も防ぐ
+      await recordUpload(file, lang, channel, up, sha);
+      await commitSlot(up.publishAt, up.vid);
+      await moveToSent(file);
+      stats.uploaded++;
     } catch (e) {
-      await moveToFailed(fileArg);
+      if (e.retryLater) {
+        console.warn("[keep in queue] resume next run:", norm(file));
+        stats.deferred++;
+      } else if (e.kind === "quota") {
+        await quota.exhaust(errorReason(e) || "quotaExceeded");
+        console.warn("[keep in queue] API quota exceeded; retry after the quota resets:", norm(file));
+        stats.deferred++;
+      } else if (e.kind === "auth") {
+        console.warn("[keep in queue] auth error; fix credentials:", norm(file));
+      } else {
+        await moveToFailed(file);
+      }
       throw e;
     }
-    return;
+    return stats;
   }
 
   // スキップ分を埋めるため、候補は多めに取る
-  const candidateN = Math.max(maxArg * 10, maxArg);
-  const batch = await pickBatch(langArg, candidateN);
+  const candidateN = Math.max(max * 10, max);
+  const batch = await pickBatch(lang, candidateN);
   if (!batch.length) {
     console.log("[skip] no files in queue");
-    return;
+    stats.note = "empty queue";
+    return stats;
   }
 
-  let done = 0;
   for (const f of batch) {
-    if (done >= maxArg) break;
+    if (stats.uploaded >= max) break;
+    if (!(await schemaGate(f))) continue;
     const sidecar = await readSidecar(f);
+    // 一時的失敗のバックオフ中は飛ばす
+    const retryAt = sidecar.upload?.next_retry_at;
+    if (retryAt && Date.parse(retryAt) > Date.now()) {
+      console.log("[backoff]", path.basename(f), "until", retryAt);
+      continue;
+    }
+    const sha = await fileSha256(f);
 
-    // アップ前にタイトル予測して去重
-    try {
-      const preTitle = await predictTitle(f, langArg, sidecar);
-      if (recent.has(normTitle(preTitle))) {
-        console.log("[skip dup-title]", preTitle);
-        await moveToDups(f); // キューから除去→次のストックを試す
-        continue;
-      }
-    } catch(_) {}
+    // アップ前にタイトル予測/hash で去重
+    const dup = await dupReason(f, sidecar, sha);
+    if (dup) {
+      await skipDup(f, dup); // キューから除去→次のストックを試す
+      continue;
+    }
+
+    // 予算内で終わらない投稿は始めない（残りは次の日へ）
+    const need = await uploadCost(f);
+    if (!quota.canAfford(plannedUnits + need)) {
+      console.log(`[quota] need ${need} units, remaining ${quota.remaining()}; stop ${lang}`);
+      stats.note = "quota";
+      break;
+    }
+
+    const publishAt = takeSlot();
+    if (publishAt === false) {
+      console.log(`[schedule] no free slot within ${cal.horizon_days} days for ${lang}; stop`);
+      stats.note = "no free slot";
+      break;
+    }
+
+    if (dry) {
+      await dryUpload(f, sidecar, sha, publishAt, need);
+      continue;
+    }
 
     try {
-      const { title } = await uploadOne(yt, f, langArg, sidecar);
-      recent.add(normTitle(title));
+      const up = await uploadOne(yt, f, lang, sidecar, { publishAt, sha256: sha });
+      priors.push({ title: up.title, video_id: up.vid, source: "run" });
+      hashes.set(sha, up.vid);
+      await recordUpload(f, lang, channel, up, sha);
+      await commitSlot(up.publishAt, up.vid);
       await moveToSent(f);
-      done++;
+      stats.uploaded++;
     } catch (e) {
-      await moveToFailed(f);
+      if (e.retryLater) {
+        // budget が残っている一時的失敗: queue に残して次回 resumable で続きから
+        console.warn("[keep in queue] resume next run:", norm(f));
+        stats.deferred++;
+      } else if (e.kind === "quota") {
+        // その日はもう投稿できない → queue に残して止める（--langs なら残りの言語も）
+        await quota.exhaust(errorReason(e) || "quotaExceeded");
+        console.error(`[quota] ${lang}: API quota exceeded; stop for today (${norm(f)} stays in queue)`);
+        stats.deferred++;
+        stats.note = "quota exceeded";
+        stats.quotaExceeded = true;
+        break;
+      } else if (e.kind === "auth") {
+        // 認証エラーは全ファイルで同じ結果になる → キューはそのままにして言語ごと止める
+        console.error(`[auth] ${lang}: ${e?.message || e}; stop batch (token=${yt.tokenName})`);
+        stats.error = `auth: ${e?.message || e}`;
+        break;
+      } else {
+        await moveToFailed(f);
+        stats.failed++;
+      }
       console.warn("[skip after fail]", path.basename(f), e?.message || e);
     }
 
-    if (done < maxArg) await sleep(1200); // 連投間隔（好みで調整）
+    if (stats.uploaded < max) await sleep(1200); // 連投間隔（好みで調整）
+  }
+
+  console.log(`[done] ${dry ? "would upload" : "uploaded"} ${stats.uploaded} file(s) for ${lang}; quota remaining ${Math.max(0, quota.remaining() - plannedUnits)}`);
+  return stats;
+}
+
+// ---------------- requeue (failed → queue) ----------------
+// transient で next_retry_at を過ぎたものだけ戻す。auth/permanent/上限超えは failed/ に残す
+async function requeueLang(lang, now = new Date()) {
+  const stats = { lang, requeued: 0, waiting: 0, kept: 0 };
+  const dir = path.join("videos", lang, "failed");
+  if (!fs.existsSync(dir)) return stats;
+  const dates = fs.readdirSync(dir).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
+  for (const d of dates) {
+    const ls = fs.readdirSync(path.join(dir, d)).filter((f) => f.endsWith(".mp4")).sort();
+    for (const f of ls) {
+      const file = path.join(dir, d, f);
+      const up = (await readSidecar(file)).upload || {};
+      if (up.last_error?.kind !== "transient" || (up.requeues || 0) >= REQUEUE_MAX) {
+        stats.kept++;
+        continue;
+      }
+      if (up.next_retry_at && Date.parse(up.next_retry_at) > now.getTime()) {
+        stats.waiting++;
+        continue;
+      }
+      // retry budget を新しくする（resumable セッションはそのまま使う）
+      const st = await loadUploadState(file);
+      if (st.attempts) { st.attempts = 0; await saveUploadState(file, st); }
+      await updateSidecar(file, { upload: Object.assign({}, up, { requeues: (up.requeues || 0) + 1, next_retry_at: null }) });
+      console.log("[requeue]", await moveToBucket(file, "queue"));
+      stats.requeued++;
+    }
+  }
+  console.log(`[requeue] ${lang} requeued=${stats.requeued} waiting=${stats.waiting} kept=${stats.kept}`);
+  return stats;
+}
+
+// ---------------- main ----------------
+async function main() {
+  const fileArg =
+    (process.argv.find((a) => a.startsWith("--file=")) || "").split("=")[1] || "";
+  const langArg =
+    (process.argv.find((a) => a.startsWith("--lang=")) || "").split("=")[1] || "en";
+  const langsArg =
+    (process.argv.find((a) => a.startsWith("--langs=")) || "").split("=")[1] || "";
+  const maxRaw =
+    (process.argv.find((a) => a.startsWith("--max=")) || "").split("=")[1] || "";
+  const max = maxRaw ? parseInt(maxRaw, 10) : null;
+  const noSchedule = process.argv.includes("--no-schedule");
+  const dedupApi = process.argv.includes("--dedup-api");
+  const dryRun = process.argv.includes("--dry-run");
+  const strict = process.argv.includes("--strict") || process.env.SCHEMA_STRICT === "1";
+
+  if (process.argv.includes("--requeue")) {
+    const langs = langsArg ? resolveLangPlan(langsArg).map((p) => p.lang) : [langArg];
+    for (const l of langs) await requeueLang(l);
+    return;
+  }
+
+  const quota = await openQuota({ budget: QUOTA_BUDGET });
+
+  if (fileArg || !langsArg) {
+    await runLang(langArg, { file: fileArg, max, noSchedule, dedupApi, quota, dryRun, strict });
+    return;
+  }
+
+  // 複数言語: 言語ごとに認証を分け、失敗しても次の言語へ
+  const plan = resolveLangPlan(langsArg);
+  if (!plan.length) {
+    console.log("[skip] no languages to upload");
+    return;
   }
+  console.log("[plan]", plan.map((p) => `${p.lang}:${max ?? p.max ?? "auto"}`).join(" "));
 
-  console.log(`[done] uploaded ${done} file(s) for ${langArg}`);
+  const results = [];
+  for (const p of plan) {
+    console.log(`\n===== ${p.lang} =====`);
+    try {
+      const r = await runLang(p.lang, { max: max ?? p.max, noSchedule, dedupApi, quota, dryRun, strict, strictAuth: true });
+      results.push(r);
+      // クォータはプロジェクト共通 → 残りの言語も今日は投稿できない
+      if (r.quotaExceeded) {
+        console.error(`[quota] stop: skipping ${plan.slice(plan.indexOf(p) + 1).map((x) => x.lang).join(",") || "-"}`);
+        break;
+      }
+    } catch (e) {
+      console.error(`[lang fail] ${p.lang}`, e?.message || e);
+      results.push({ lang: p.lang, uploaded: 0, dups: 0, failed: 0, error: e?.message || String(e) });
+    }
+  }
+  printSummary(results);
+  console.log(`[quota] ${quota.describe()}`);
+  if (results.some((r) => r.error)) process.exitCode = 1;
 }
 
 main().catch((e) => {